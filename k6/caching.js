@@ -0,0 +1,155 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import { config, endpoints, caching, streaming, testUsers } from './config.js';
+import { currentUser, authHeaders } from './lib/users.js';
+import { pickSong } from './lib/songs.js';
+import { checkContract } from './lib/contracts.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Caching Test
+ * 
+ * Purpose: Measure how well M3W supports client-side caching
+ * Tests: Library and playlist lists and the start of song streams are fetched
+ *        once, then revalidated with If-None-Match / If-Modified-Since the way
+ *        clients with a warm cache do
+ * 
+ * Per endpoint (`endpoint` tag: libraries, playlists, stream):
+ * - cache_validator_present: share of full responses carrying ETag or
+ *   Last-Modified; the threshold fails for endpoints that never send one
+ * - cache_not_modified: share of conditional requests answered with 304
+ * - cache_full_duration / cache_revalidate_duration: latency of full
+ *   responses vs 304s
+ * - cache_latency_saving: full latency minus 304 latency for the same
+ *   resource on the same VU
+ * 
+ * Usage:
+ *   source .env.test && k6 run k6/caching.js
+ */
+
+// Custom metrics
+const validatorPresent = new Rate('cache_validator_present');
+const notModified = new Rate('cache_not_modified');
+const fullDuration = new Trend('cache_full_duration', true);
+const revalidateDuration = new Trend('cache_revalidate_duration', true);
+const latencySaving = new Trend('cache_latency_saving', true);
+
+const cachedEndpoints = ['libraries', 'playlists', 'stream'];
+
+// Submetric thresholds also make every endpoint show up in the summary
+function cachingThresholds() {
+  const result = {
+    'http_req_failed': ['rate<0.01'],
+    'contract_violations': ['rate==0'],
+  };
+  for (const endpoint of cachedEndpoints) {
+    result[`cache_validator_present{endpoint:${endpoint}}`] = ['rate>0'];
+    result[`cache_not_modified{endpoint:${endpoint}}`] = ['rate>0.9'];
+    result[`cache_latency_saving{endpoint:${endpoint}}`] = ['avg>=0'];
+  }
+  return result;
+}
+
+export const options = {
+  scenarios: {
+    caching: {
+      executor: 'constant-vus',
+      vus: caching.vus,
+      duration: caching.duration,
+    },
+  },
+  thresholds: cachingThresholds(),
+};
+
+// Per-VU client cache: resource key -> { etag, lastModified, duration }
+const clientCache = {};
+
+/**
+ * Fetch a resource, revalidating when a validator was seen before
+ * Returns the response; 304s are checked against the cached validators
+ */
+function fetchWithCache(endpoint, key, url, headers) {
+  const cached = clientCache[key];
+  const conditional = {};
+  if (cached && cached.etag) conditional['If-None-Match'] = cached.etag;
+  if (cached && cached.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+  const revalidating = Object.keys(conditional).length > 0;
+  
+  const tags = { type: endpoint === 'stream' ? 'stream' : 'api', endpoint };
+  const res = http.get(url, {
+    headers: { ...headers, ...conditional },
+    tags: { ...tags, conditional: String(revalidating) },
+  });
+  
+  if (revalidating) {
+    notModified.add(res.status === 304, tags);
+  }
+  
+  if (res.status === 304) {
+    revalidateDuration.add(res.timings.duration, tags);
+    if (cached.duration !== undefined) {
+      latencySaving.add(cached.duration - res.timings.duration, tags);
+    }
+    check(res, {
+      '304 has no body': (r) => !r.body || r.body.length === 0,
+      '304 keeps ETag': (r) => !cached.etag || !r.headers['Etag'] || r.headers['Etag'] === cached.etag,
+    }, tags);
+    return res;
+  }
+  
+  fullDuration.add(res.timings.duration, tags);
+  const etag = res.headers['Etag'];
+  const lastModified = res.headers['Last-Modified'];
+  validatorPresent.add(Boolean(etag || lastModified), tags);
+  
+  // Full response (first fetch or changed resource): refresh the cache entry
+  clientCache[key] = { etag, lastModified, duration: res.timings.duration };
+  return res;
+}
+
+export default function() {
+  const user = currentUser();
+  const headers = authHeaders(user);
+  
+  let res = fetchWithCache('libraries', 'libraries', `${config.baseUrl}${endpoints.libraries}`, headers);
+  check(res, { 'libraries ok': (r) => r.status === 200 || r.status === 304 });
+  checkContract(res, 'libraries');
+  
+  res = fetchWithCache('playlists', 'playlists', `${config.baseUrl}${endpoints.playlists}`, headers);
+  check(res, { 'playlists ok': (r) => r.status === 200 || r.status === 304 });
+  checkContract(res, 'playlists');
+  
+  // Re-stream the start of a (likely already cached) song
+  const songId = pickSong(user.songIds);
+  if (songId) {
+    const rangeEnd = streaming.chunkSizeKB * 1024 - 1;
+    res = fetchWithCache('stream', `stream:${songId}`, `${config.baseUrl}${endpoints.stream(songId)}`, {
+      ...headers,
+      'Range': `bytes=0-${rangeEnd}`,
+    });
+    check(res, { 'stream ok': (r) => r.status === 200 || r.status === 206 || r.status === 304 });
+  }
+  
+  sleep(caching.thinkSeconds);
+}
+
+export function setup() {
+  console.log(`Starting caching test against ${config.baseUrl}`);
+  console.log(`VUs: ${caching.vus} | Duration: ${caching.duration} | Users: ${testUsers.length}`);
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Caching test completed in ${duration}s`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('caching');
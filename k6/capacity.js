@@ -1,95 +1,150 @@
 import http from 'k6/http';
 import { check, sleep } from 'k6';
-import { Rate, Trend } from 'k6/metrics';
-import { config, thresholds, capacityStages, behavior, endpoints } from './config.js';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, thresholds, loadModel, workload, journey, streaming, songSelection, endpoints, endpointNames, testUsers } from './config.js';
+import { currentUser, authHeaders } from './lib/users.js';
+import { streamSong } from './lib/streaming.js';
+import { pickSong } from './lib/songs.js';
+import { checkContract } from './lib/contracts.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+import { capacityScenarios, capacityScenarioThresholds, abortingThresholds } from './lib/scenarios.js';
 
 // Custom metrics
 const errorRate = new Rate('errors');
 const apiDuration = new Trend('api_duration', true);
 const streamTTFB = new Trend('stream_ttfb', true);
 
+// Session journey metrics (user-perceived)
+const sessionFirstAudio = new Trend('session_first_audio', true);
+const sessionDuration = new Trend('session_duration', true);
+const sessionSongs = new Trend('session_songs');
+const sessionStalls = new Trend('session_stalls');
+const sessionSkips = new Counter('session_skips');
+const sessionCompleted = new Rate('session_completed');
+
+const scenarios = capacityScenarios();
+
+// Endpoints this test calls (rows of the end-of-run breakdown), shared with
+// the scripts that reuse its scenarios
+export const capacityEndpoints = [
+  endpointNames.me,
+  endpointNames.libraries,
+  endpointNames.playlists,
+  endpointNames.createPlaylist,
+  endpointNames.deletePlaylist,
+  endpointNames.stream,
+  endpointNames.progress,
+];
+
+const allThresholds = {
+  ...thresholds,
+  ...capacityScenarioThresholds(scenarios),
+  ...perEndpointThresholds(capacityEndpoints),
+};
+
 export const options = {
-  stages: capacityStages,
-  thresholds: thresholds,
+  scenarios,
+  // A search level is judged as soon as any threshold breaks
+  thresholds: loadModel.level > 0 ? abortingThresholds(allThresholds) : allThresholds,
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
 };
 
-// Request headers with auth
-function getHeaders() {
-  return {
-    'Authorization': `Bearer ${config.testUserToken}`,
+// Request headers with auth for this VU's user
+function getHeaders(user) {
+  return authHeaders(user, {
     'Content-Type': 'application/json',
-  };
+  });
 }
 
 // Startup phase: auth check, list libraries and playlists
-function startupPhase() {
-  const headers = getHeaders();
+function startupPhase(user) {
+  const headers = getHeaders(user);
   
   // Get current user
   let res = http.get(`${config.baseUrl}${endpoints.me}`, { 
     headers,
-    tags: { type: 'api' },
+    tags: { type: 'api', name: endpointNames.me },
   });
   apiDuration.add(res.timings.duration);
   check(res, { 'auth check ok': (r) => r.status === 200 });
+  checkContract(res, 'me');
   
   // List libraries
   res = http.get(`${config.baseUrl}${endpoints.libraries}`, { 
     headers,
-    tags: { type: 'api' },
+    tags: { type: 'api', name: endpointNames.libraries },
   });
   apiDuration.add(res.timings.duration);
   check(res, { 'list libraries ok': (r) => r.status === 200 });
+  checkContract(res, 'libraries');
   
   // List playlists
   res = http.get(`${config.baseUrl}${endpoints.playlists}`, { 
     headers,
-    tags: { type: 'api' },
+    tags: { type: 'api', name: endpointNames.playlists },
   });
   apiDuration.add(res.timings.duration);
   check(res, { 'list playlists ok': (r) => r.status === 200 });
+  checkContract(res, 'playlists');
   
   sleep(1);
 }
 
 // Listening phase: stream audio, update progress
-function listeningPhase(songId) {
-  const headers = getHeaders();
-  
-  // Stream audio (with range request simulation)
-  const streamRes = http.get(`${config.baseUrl}${endpoints.stream(songId)}`, {
-    headers: {
-      ...headers,
-      'Range': 'bytes=0-',
-    },
-    tags: { type: 'stream' },
-  });
-  streamTTFB.add(streamRes.timings.waiting);
-  
-  const streamOk = check(streamRes, { 
-    'stream ok': (r) => r.status === 200 || r.status === 206,
-  });
-  errorRate.add(!streamOk);
+function listeningPhase(user, songId) {
+  const headers = getHeaders(user);
   
-  // Simulate listening for 30 seconds, update progress
-  sleep(30);
+  let position;
+  if (streaming.mode === 'full') {
+    // Stream audio in one shot (with range request simulation)
+    const streamRes = http.get(`${config.baseUrl}${endpoints.stream(songId)}`, {
+      headers: {
+        ...headers,
+        'Range': 'bytes=0-',
+      },
+      tags: { type: 'stream', name: endpointNames.stream },
+    });
+    streamTTFB.add(streamRes.timings.waiting);
+    
+    const streamOk = check(streamRes, { 
+      'stream ok': (r) => r.status === 200 || r.status === 206,
+    });
+    errorRate.add(!streamOk);
+    
+    // Simulate listening, then update progress
+    sleep(streaming.listenSeconds);
+    position = Math.floor(Math.random() * 180); // Random position 0-180s
+  } else {
+    // Pull the song in bitrate-paced chunks for the listen time
+    const session = streamSong(headers, songId);
+    if (session.ttfb !== null) {
+      streamTTFB.add(session.ttfb);
+    }
+    errorRate.add(!session.ok);
+    position = Math.floor(session.played);
+  }
   
-  // Update progress (PUT method)
+  updateProgress(headers, songId, position);
+}
+
+// Update playback progress (PUT method)
+function updateProgress(headers, songId, position) {
   const progressRes = http.put(
     `${config.baseUrl}${endpoints.progress}`,
     JSON.stringify({
       songId: songId,
-      position: Math.floor(Math.random() * 180), // Random position 0-180s
+      position,
     }),
-    { headers, tags: { type: 'api' } }
+    { headers, tags: { type: 'api', name: endpointNames.progress } }
   );
   apiDuration.add(progressRes.timings.duration);
   check(progressRes, { 'progress update ok': (r) => r.status === 200 });
 }
 
 // Managing phase: create/delete playlist
-function managingPhase() {
-  const headers = getHeaders();
+function managingPhase(user) {
+  const headers = getHeaders(user);
   
   // Create playlist
   const createRes = http.post(
@@ -97,20 +152,20 @@ function managingPhase() {
     JSON.stringify({
       name: `Load Test Playlist ${Date.now()}`,
     }),
-    { headers, tags: { type: 'api' } }
+    { headers, tags: { type: 'api', name: endpointNames.createPlaylist } }
   );
   apiDuration.add(createRes.timings.duration);
   check(createRes, { 'create playlist ok': (r) => r.status === 200 || r.status === 201 });
   
-  if (createRes.status === 200 || createRes.status === 201) {
-    const playlist = createRes.json();
+  const playlist = checkContract(createRes, 'playlist');
+  if (playlist) {
     sleep(2);
     
     // Delete playlist
     const deleteRes = http.del(
-      `${config.baseUrl}${endpoints.playlists}/${playlist.data?.id || playlist.id}`,
+      `${config.baseUrl}${endpoints.playlists}/${playlist.id}`,
       null,
-      { headers, tags: { type: 'api' } }
+      { headers, tags: { type: 'api', name: endpointNames.deletePlaylist } }
     );
     apiDuration.add(deleteRes.timings.duration);
     check(deleteRes, { 'delete playlist ok': (r) => r.status === 200 || r.status === 204 });
@@ -119,33 +174,143 @@ function managingPhase() {
   sleep(1);
 }
 
-// Main test function
-export default function() {
-  // Determine which phase to execute based on weights
-  const rand = Math.random();
+// Build the play queue for a session: N songs drawn from the catalog
+function buildQueue(user) {
+  const length = journey.minSongs +
+    Math.floor(Math.random() * (journey.maxSongs - journey.minSongs + 1));
+  const queue = [];
+  for (let i = 0; i < length; i++) {
+    queue.push(pickSong(user.songIds));
+  }
+  return queue;
+}
+
+// Listen time for a queued song: its real duration, or part of it when skipped
+function listenTimeFor(user, songId, skipped) {
+  const duration = user.songDurations[songId] || journey.defaultSongSeconds;
+  if (!skipped) return duration;
+  // Skips happen somewhere in the first half of the song
+  return Math.max(5, Math.floor(Math.random() * duration * 0.5));
+}
+
+/**
+ * Session journey state machine
+ *
+ * startup -> (listen -> [manage]) x queue -> end
+ *
+ * Startup runs once per session, then the queue is played song by song with
+ * progress reported every 30s while playing, occasional skips and playlist
+ * management between songs.
+ */
+function sessionJourney(user) {
+  const headers = getHeaders(user);
+  const sessionStart = Date.now();
   
-  if (rand < behavior.startup) {
-    // Startup phase (5%)
-    startupPhase();
-  } else if (rand < behavior.startup + behavior.listening) {
-    // Listening phase (85%)
-    const testSongId = config.testSongId;
-    if (!testSongId) {
-      console.warn('TEST_SONG_ID not set, skipping listening phase');
-      sleep(1);
-      return;
+  let state = 'startup';
+  let queue = [];
+  let firstAudioRecorded = false;
+  let songsPlayed = 0;
+  let stallCount = 0;
+  let ok = true;
+  
+  while (state !== 'end') {
+    switch (state) {
+      case 'startup': {
+        startupPhase(user);
+        queue = buildQueue(user);
+        state = queue.length > 0 && queue[0] ? 'listen' : 'end';
+        break;
+      }
+      
+      case 'listen': {
+        const songId = queue.shift();
+        const skipped = Math.random() < journey.skipProbability;
+        const listenSeconds = listenTimeFor(user, songId, skipped);
+        
+        const session = streamSong(headers, songId, {
+          listenSeconds,
+          onProgress: (position) => updateProgress(headers, songId, position),
+        });
+        
+        if (session.ttfb !== null) {
+          streamTTFB.add(session.ttfb);
+        }
+        if (!firstAudioRecorded && session.firstByteAt !== null) {
+          sessionFirstAudio.add(session.firstByteAt - sessionStart);
+          firstAudioRecorded = true;
+        }
+        errorRate.add(!session.ok);
+        ok = ok && session.ok;
+        stallCount += session.stalls;
+        songsPlayed++;
+        
+        // Final position when the song ends or is skipped
+        updateProgress(headers, songId, Math.floor(session.played));
+        if (skipped) {
+          sessionSkips.add(1);
+        }
+        
+        if (!session.ok || queue.length === 0) {
+          state = 'end';
+        } else if (Math.random() < journey.manageProbability) {
+          state = 'manage';
+        }
+        break;
+      }
+      
+      case 'manage': {
+        managingPhase(user);
+        state = 'listen';
+        break;
+      }
+      
+      default:
+        throw new Error(`Unknown session state: ${state}`);
     }
-    listeningPhase(testSongId);
-  } else {
-    // Managing phase (10%)
-    managingPhase();
   }
+  
+  sessionDuration.add(Date.now() - sessionStart);
+  sessionSongs.add(songsPlayed);
+  sessionStalls.add(stallCount);
+  sessionCompleted.add(ok && songsPlayed > 0);
+}
+
+// Scenario entry points (see lib/scenarios.js)
+
+export function startup() {
+  startupPhase(currentUser());
+}
+
+export function listening() {
+  const user = currentUser();
+  const songId = pickSong(user.songIds);
+  if (!songId) {
+    console.warn(`No songs seeded for ${user.id}, skipping listening phase`);
+    sleep(1);
+    return;
+  }
+  listeningPhase(user, songId);
+}
+
+export function managing() {
+  managingPhase(currentUser());
+}
+
+export function session() {
+  sessionJourney(currentUser());
 }
 
 // Setup function - runs once before test
 export function setup() {
   console.log(`Starting capacity test against ${config.baseUrl}`);
-  console.log(`Stages: ${JSON.stringify(capacityStages)}`);
+  console.log(`Load model: ${loadModel.model}${loadModel.model === 'open' ? ` (${loadModel.arrivalProfile} arrival rate)` : ''}`);
+  console.log(`Workload: ${workload}, scenarios: ${Object.keys(scenarios).join(', ')}`);
+  if (loadModel.level > 0) {
+    console.log(`Search level: ${loadModel.level} held for ${loadModel.levelHold}`);
+  }
+  console.log(`Users: ${testUsers.length} (VUs assigned round-robin)`);
+  console.log(`Songs: ${testUsers[0].songIds.length} per user, ${songSelection.distribution} distribution`);
+  console.log(`Streaming: ${streaming.mode} (${streaming.bitrateKbps}kbps, ${streaming.bufferAheadSeconds}s buffer-ahead)`);
   
   // Verify connectivity
   const res = http.get(`${config.baseUrl}/health`);
@@ -161,3 +326,6 @@ export function teardown(data) {
   const duration = (Date.now() - data.startTime) / 1000;
   console.log(`Test completed in ${duration}s`);
 }
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('capacity', capacityEndpoints);
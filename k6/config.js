@@ -2,14 +2,43 @@
  * Shared configuration for k6 load tests
  */
 
+import { SharedArray } from 'k6/data';
+
 // Environment configuration
 export const config = {
   baseUrl: __ENV.BASE_URL || 'http://localhost:4000',
   testUserToken: __ENV.TEST_USER_TOKEN || '',
   testLibraryId: __ENV.TEST_LIBRARY_ID || '',
   testSongId: __ENV.TEST_SONG_ID || '',
+  // Per-user identities written by seed (absolute path, see .env.test)
+  testUsersFile: __ENV.TEST_USERS_FILE || '',
+  // Song with a known source file for Range correctness checks (absolute path)
+  seekSongId: __ENV.TEST_SEEK_SONG_ID || '',
+  seekFixture: __ENV.TEST_SEEK_FIXTURE || '',
 };
 
+// Seeded user identities:
+// { id, email, token, libraryId, cacheAllEnabled, songIds, songDurations,
+//   playlistIds, songFixtures }
+// Loaded once and shared read-only across VUs. Without TEST_USERS_FILE every
+// VU falls back to the single TEST_USER_TOKEN identity.
+export const testUsers = new SharedArray('test users', function () {
+  if (config.testUsersFile) {
+    return JSON.parse(open(config.testUsersFile));
+  }
+  
+  return [{
+    id: 'shared',
+    token: config.testUserToken,
+    libraryId: config.testLibraryId,
+    cacheAllEnabled: false,
+    songIds: config.testSongId ? [config.testSongId] : [],
+    songDurations: {},
+    playlistIds: [],
+    songFixtures: {},
+  }];
+});
+
 // Thresholds for success criteria
 export const thresholds = {
   // API response time
@@ -18,6 +47,8 @@ export const thresholds = {
   'http_req_waiting{type:stream}': ['p(95)<200'],
   // Error rate
   'http_req_failed': ['rate<0.01'],
+  // 2xx responses with a malformed body (lib/contracts.js)
+  'contract_violations': ['rate==0'],
 };
 
 // Load stages for capacity test (find breaking point)
@@ -31,13 +62,169 @@ export const capacityStages = [
   { duration: '2m', target: 0 },     // Cool-down
 ];
 
-// User behavior weights
+// Arrival-rate stages for the open model (total session starts per minute)
+export const arrivalStages = [
+  { duration: '1m', target: 30 },    // Warm-up
+  { duration: '2m', target: 120 },   // Baseline
+  { duration: '2m', target: 240 },   // Load
+  { duration: '2m', target: 480 },   // Stress
+  { duration: '2m', target: 720 },   // High stress
+  { duration: '2m', target: 1200 },  // Peak
+  { duration: '2m', target: 0 },     // Cool-down
+];
+
+// Load model for the capacity scenarios
+// - closed: ramping-vus over capacityStages (slow responses lower the request rate)
+// - open: arrival-rate executors, new iterations start regardless of response times
+export const loadModel = {
+  model: __ENV.LOAD_MODEL || 'closed',
+  // Open model only: 'ramping' follows arrivalStages, 'constant' holds arrivalRate
+  arrivalProfile: __ENV.ARRIVAL_PROFILE || 'ramping',
+  arrivalRate: parseInt(__ENV.ARRIVAL_RATE || '240'),      // per minute, constant profile
+  arrivalDuration: __ENV.ARRIVAL_DURATION || '10m',        // constant profile
+  // Breaking-point search (scripts/run-test.cjs --search): hold one fixed level
+  // (total VUs or sessions per minute) instead of the stages, aborting on
+  // the first broken threshold
+  level: parseInt(__ENV.SEARCH_LEVEL || '0'),
+  levelRampUp: '30s',
+  levelHold: __ENV.SEARCH_HOLD || '3m',
+};
+
+// Capacity workload
+// - phases: independent startup/listening/managing scenarios, weighted by `behavior`
+// - journeys: one `session` scenario where each iteration is a full user session
+export const workload = __ENV.WORKLOAD || 'phases';
+
+// Session journey behavior (WORKLOAD=journeys)
+export const journey = {
+  minSongs: parseInt(__ENV.SESSION_MIN_SONGS || '3'),
+  maxSongs: parseInt(__ENV.SESSION_MAX_SONGS || '8'),
+  skipProbability: parseFloat(__ENV.SESSION_SKIP_PROBABILITY || '0.2'),
+  manageProbability: parseFloat(__ENV.SESSION_MANAGE_PROBABILITY || '0.1'),
+  // Listen time when the server reports no duration for a song
+  defaultSongSeconds: 180,
+  // Sessions last minutes, so the open model starts this share of arrivalStages
+  arrivalScale: parseFloat(__ENV.SESSION_ARRIVAL_SCALE || '0.05'),
+};
+
+// Soak test: moderate steady load held for hours (k6/soak.js)
+export const soak = {
+  duration: __ENV.SOAK_DURATION || '4h',
+  vus: parseInt(__ENV.SOAK_VUS || '50'),
+};
+
+// Spike test: repeated jumps from idle to multiplier x load and back (k6/spike.js)
+// Durations in seconds
+export const spike = {
+  baseVUs: parseInt(__ENV.SPIKE_BASE_VUS || '10'),
+  multiplier: parseInt(__ENV.SPIKE_MULTIPLIER || '10'),
+  count: parseInt(__ENV.SPIKE_COUNT || '3'),
+  baselineSeconds: parseInt(__ENV.SPIKE_BASELINE || '60'),
+  rampSeconds: 10,
+  holdSeconds: parseInt(__ENV.SPIKE_HOLD || '60'),
+  recoverySeconds: parseInt(__ENV.SPIKE_RECOVERY || '180'),
+  // Playback per app open - the burst is dominated by startup and first audio
+  listenSeconds: parseInt(__ENV.SPIKE_LISTEN_SECONDS || '10'),
+};
+
+// Seek test: random Range requests against a known fixture (k6/seek.js)
+export const seek = {
+  vus: parseInt(__ENV.SEEK_VUS || '5'),
+  duration: __ENV.SEEK_DURATION || '2m',
+  seeksPerIteration: parseInt(__ENV.SEEK_PER_ITERATION || '5'),
+  // Upper bound for the length of a single random range
+  maxRangeKB: parseInt(__ENV.SEEK_MAX_RANGE_KB || '64'),
+};
+
+// Caching test: conditional revalidation of lists and streams (k6/caching.js)
+export const caching = {
+  vus: parseInt(__ENV.CACHE_VUS || '10'),
+  duration: __ENV.CACHE_DURATION || '3m',
+  // Pause between revalidation rounds, like a client refreshing its views
+  thinkSeconds: parseFloat(__ENV.CACHE_THINK_SECONDS || '2'),
+};
+
+// Download test: "cache all" clients syncing their whole library next to
+// regular listeners (k6/download.js). Durations in seconds
+export const download = {
+  downloaderVUs: parseInt(__ENV.DOWNLOAD_VUS || '2'),
+  listenerVUs: parseInt(__ENV.DOWNLOAD_LISTENER_VUS || '20'),
+  // Listeners alone first, as the comparison baseline
+  baselineSeconds: parseInt(__ENV.DOWNLOAD_BASELINE || '60'),
+  downloadSeconds: parseInt(__ENV.DOWNLOAD_DURATION || '300'),
+};
+
+// Slow-consumer test: listeners reading whole songs over a throttled link
+// (k6/slow-consumer.js, behind the runner's throttling proxy)
+export const slowConsumer = {
+  vus: parseInt(__ENV.SLOW_CONSUMER_VUS || '100'),
+  rampUp: __ENV.SLOW_CONSUMER_RAMP || '3m',
+  duration: __ENV.SLOW_CONSUMER_DURATION || '5m',
+  // Slowest per-connection read rate of the proxy; sizes the request timeout
+  minKbps: parseFloat(__ENV.SLOW_CONSUMER_MIN_KBPS || '16'),
+  // Largest song expected in the catalog, also for the timeout
+  maxSongMB: parseFloat(__ENV.SLOW_CONSUMER_MAX_SONG_MB || '10'),
+};
+
+// User behavior weights - share of the load each scenario receives
 export const behavior = {
   startup: 0.05,    // 5% - auth, list libraries/playlists
   listening: 0.85,  // 85% - stream audio, update progress
   managing: 0.10,   // 10% - create/delete playlists
 };
 
+// Per-scenario thresholds - tag filters get `scenario:<name>` added
+export const scenarioThresholds = {
+  startup: {
+    'http_req_duration{type:api}': ['p(95)<500'],
+  },
+  listening: {
+    'http_req_waiting{type:stream}': ['p(95)<200'],
+    'http_req_failed': ['rate<0.01'],
+  },
+  managing: {
+    'http_req_duration{type:api}': ['p(95)<800'],
+  },
+  session: {
+    'session_first_audio': ['p(95)<2000'],
+    'stream_rebuffer_rate': ['rate<0.05'],
+    'http_req_failed': ['rate<0.01'],
+  },
+};
+
+// Listening phase streaming behavior
+// - progressive: pull the song in sequential Range chunks, paced like a player
+//   buffering ahead of the playhead at the given bitrate
+// - full: single `Range: bytes=0-` fetch, then idle for the listen time
+export const streaming = {
+  mode: __ENV.STREAM_MODE || 'progressive',
+  bitrateKbps: parseInt(__ENV.STREAM_BITRATE_KBPS || '128'),
+  chunkSizeKB: parseInt(__ENV.STREAM_CHUNK_KB || '256'),
+  bufferAheadSeconds: parseInt(__ENV.STREAM_BUFFER_AHEAD || '20'),
+  listenSeconds: parseInt(__ENV.STREAM_LISTEN_SECONDS || '30'),
+  progressIntervalSeconds: 30,
+};
+
+// Expected iteration length per scenario (seconds), used to size VU pools
+// for the arrival-rate executors
+export const iterationSeconds = {
+  startup: 2,
+  listening: streaming.listenSeconds + 2,
+  managing: 4,
+  session: ((journey.minSongs + journey.maxSongs) / 2) * journey.defaultSongSeconds,
+};
+
+// Song selection across each user's catalog (songIds are in catalog rank order)
+// - uniform: every song equally likely (cache-hostile)
+// - zipf: long-tail popularity, P(rank k) ~ 1 / k^zipfExponent
+// - hot: hotRatio of plays go to the top hotSongs, the rest spread uniformly
+export const songSelection = {
+  distribution: __ENV.SONG_DISTRIBUTION || 'zipf',
+  zipfExponent: parseFloat(__ENV.ZIPF_EXPONENT || '1.0'),
+  hotSongs: parseInt(__ENV.HOT_SONGS || '3'),
+  hotRatio: parseFloat(__ENV.HOT_RATIO || '0.9'),
+};
+
 // API endpoints
 export const endpoints = {
   // Auth
@@ -56,3 +243,32 @@ export const endpoints = {
   // Progress (PUT method)
   progress: '/api/player/progress',
 };
+
+// Stable `name` tags per endpoint - URLs carry IDs, so k6 would otherwise
+// create one metric series per URL
+export const endpointNames = {
+  me: 'GET /api/auth/me',
+  libraries: 'GET /api/libraries',
+  playlists: 'GET /api/playlists',
+  createPlaylist: 'POST /api/playlists',
+  deletePlaylist: 'DELETE /api/playlists/:id',
+  library: 'GET /api/libraries/:id',
+  songs: 'GET /api/libraries/:id/songs',
+  upload: 'POST /api/libraries/:id/songs',
+  // Malformed uploads (k6/lib/hostile.js), kept out of the upload row
+  hostileUpload: 'POST /api/libraries/:id/songs (hostile)',
+  stream: 'GET /api/songs/:id/stream',
+  deleteSong: 'DELETE /api/songs/:id',
+  progress: 'PUT /api/player/progress',
+};
+
+// Per-endpoint thresholds: { name: { metric: [...] } }, applied as
+// `metric{name:<name>}` (see lib/endpoints.js)
+export const endpointThresholds = {
+  [endpointNames.me]: { 'http_req_duration': ['p(95)<300'] },
+  [endpointNames.libraries]: { 'http_req_duration': ['p(95)<500'] },
+  [endpointNames.playlists]: { 'http_req_duration': ['p(95)<500'] },
+  [endpointNames.songs]: { 'http_req_duration': ['p(95)<800'] },
+  [endpointNames.stream]: { 'http_req_waiting': ['p(95)<200'] },
+  [endpointNames.progress]: { 'http_req_duration': ['p(95)<300'] },
+};
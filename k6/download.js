@@ -0,0 +1,148 @@
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { check } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, endpoints, endpointNames, download, thresholds, testUsers } from './config.js';
+import { currentUser, authHeaders } from './lib/users.js';
+import { checkContract } from './lib/contracts.js';
+import { listening as listenOnce, capacityEndpoints } from './capacity.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Library Download Test
+ *
+ * Purpose: Find out whether a few "download all" clients can starve
+ *          streaming users
+ * Tests: Users seeded with cacheAllEnabled (SEED_DOWNLOADERS) enumerate their
+ *        library and download every song back-to-back, while regular
+ *        listeners stream next to them
+ *
+ * Timeline:
+ *   0 .. baseline            listeners only (download_phase:baseline)
+ *   baseline .. +duration    listeners + downloaders (download_phase:downloading)
+ *
+ * Listener stream TTFB and rebuffering are reported per download_phase, so
+ * the effect of the downloaders shows up as the difference between the two.
+ *
+ * Usage:
+ *   source .env.test && k6 run k6/download.js
+ *   DOWNLOAD_VUS=5 DOWNLOAD_LISTENER_VUS=50 k6 run k6/download.js
+ */
+
+// Custom metrics
+const songDownloadDuration = new Trend('download_song_duration', true);
+const libraryDownloadDuration = new Trend('download_library_duration', true);
+const downloadBytes = new Counter('download_bytes');
+const downloadSongs = new Counter('download_songs');
+const downloadErrors = new Rate('download_errors');
+
+// Users that sync their whole library
+const downloaders = testUsers.filter((user) => user.cacheAllEnabled);
+
+const totalSeconds = download.baselineSeconds + download.downloadSeconds;
+
+// Full-song downloads get their own endpoint row next to listener streaming
+const downloadName = `${endpointNames.stream} (download)`;
+const downloadEndpoints = [...capacityEndpoints, endpointNames.songs, downloadName];
+
+export const options = {
+  scenarios: {
+    listeners: {
+      executor: 'constant-vus',
+      exec: 'listening',
+      vus: download.listenerVUs,
+      duration: `${totalSeconds}s`,
+    },
+    downloaders: {
+      executor: 'constant-vus',
+      exec: 'downloadAll',
+      vus: download.downloaderVUs,
+      startTime: `${download.baselineSeconds}s`,
+      duration: `${download.downloadSeconds}s`,
+      // A library sync can take a while; let the current one finish
+      gracefulStop: '2m',
+    },
+  },
+  thresholds: {
+    ...thresholds,
+    // Listener experience with and without downloaders running
+    'http_req_waiting{type:stream,download_phase:baseline}': ['p(95)<200'],
+    'http_req_waiting{type:stream,download_phase:downloading}': ['p(95)<200'],
+    'stream_rebuffer_rate{download_phase:baseline}': ['rate<0.05'],
+    'stream_rebuffer_rate{download_phase:downloading}': ['rate<0.05'],
+    'download_errors': ['rate<0.01'],
+    ...perEndpointThresholds(downloadEndpoints),
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+// Listener: one listening session, tagged with the phase it started in
+export function listening() {
+  const elapsed = (Date.now() - exec.scenario.startTime) / 1000;
+  exec.vu.tags['download_phase'] = elapsed < download.baselineSeconds ? 'baseline' : 'downloading';
+  listenOnce();
+}
+
+// Downloader: enumerate the library, then fetch every song in full
+export function downloadAll() {
+  const user = downloaders.length > 0
+    ? downloaders[(exec.vu.idInTest - 1) % downloaders.length]
+    : currentUser();
+  const headers = authHeaders(user);
+  const started = Date.now();
+  
+  const listRes = http.get(`${config.baseUrl}${endpoints.songs(user.libraryId)}`, {
+    headers,
+    tags: { type: 'api', name: endpointNames.songs },
+  });
+  check(listRes, { 'list songs ok': (r) => r.status === 200 });
+  const songs = checkContract(listRes, 'songs');
+  if (!songs) {
+    downloadErrors.add(true);
+    return;
+  }
+  
+  for (const song of songs) {
+    const res = http.get(`${config.baseUrl}${endpoints.stream(song.id)}`, {
+      headers,
+      // Only the size matters, don't buffer the audio in the VU
+      responseType: 'none',
+      timeout: '120s',
+      tags: { type: 'download', name: downloadName },
+    });
+    
+    const ok = check(res, { 'download ok': (r) => r.status === 200 });
+    downloadErrors.add(!ok);
+    if (ok) {
+      songDownloadDuration.add(res.timings.duration);
+      downloadBytes.add(parseInt(res.headers['Content-Length'] || '0'));
+      downloadSongs.add(1);
+    }
+  }
+  
+  libraryDownloadDuration.add(Date.now() - started);
+}
+
+export function setup() {
+  console.log(`Starting download test against ${config.baseUrl}`);
+  console.log(`Listeners: ${download.listenerVUs} | Downloaders: ${download.downloaderVUs} (after ${download.baselineSeconds}s)`);
+  if (downloaders.length === 0) {
+    console.warn('No users with cacheAllEnabled in TEST_USERS_FILE - downloaders reuse listener identities (seed with SEED_DOWNLOADERS > 0)');
+  }
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Download test completed in ${duration}s`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('download', downloadEndpoints);
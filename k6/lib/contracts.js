@@ -0,0 +1,122 @@
+/**
+ * Response contracts
+ *
+ * A status check alone counts a 200 with an empty or malformed body as a
+ * success. checkContract() parses the M3W envelope ({ success, data }) and
+ * validates `data` against the shape the clients rely on. Violations are
+ * recorded in `contract_violations` (tagged with the contract name) and the
+ * first few offending bodies per VU are logged for inspection. VUs share no
+ * state with handleSummary, so the runners collect the logged samples into
+ * summary.json (scripts/lib/contract-samples.cjs); keep the log format of
+ * logSample() in step with it.
+ *
+ * Schemas only list the fields clients use; extra fields are allowed.
+ */
+
+import { Rate } from 'k6/metrics';
+
+const contractViolations = new Rate('contract_violations');
+
+// Offending bodies logged per contract and VU, and how much of each
+const maxSamples = parseInt(__ENV.CONTRACT_SAMPLES || '3');
+const maxSampleLength = 1000;
+
+// Schema primitives: a schema is (value, path) => [error, ...]
+
+const typeOf = (value) => (value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value);
+
+function primitive(type) {
+  return (value, path) => (typeOf(value) === type ? [] : [`${path}: expected ${type}, got ${typeOf(value)}`]);
+}
+
+export const string = primitive('string');
+export const number = primitive('number');
+export const boolean = primitive('boolean');
+
+export function literal(expected) {
+  return (value, path) => (value === expected ? [] : [`${path}: expected ${JSON.stringify(expected)}`]);
+}
+
+export function optional(schema) {
+  return (value, path) => (value === undefined || value === null ? [] : schema(value, path));
+}
+
+export function object(shape) {
+  return (value, path) => {
+    if (typeOf(value) !== 'object') return [`${path}: expected object, got ${typeOf(value)}`];
+    const errors = [];
+    for (const [key, schema] of Object.entries(shape)) {
+      errors.push(...schema(value[key], `${path}.${key}`));
+    }
+    return errors;
+  };
+}
+
+export function arrayOf(schema) {
+  return (value, path) => {
+    if (!Array.isArray(value)) return [`${path}: expected array, got ${typeOf(value)}`];
+    const errors = [];
+    value.forEach((item, i) => errors.push(...schema(item, `${path}[${i}]`)));
+    return errors;
+  };
+}
+
+// M3W response envelope
+export function envelope(dataSchema) {
+  return object({
+    success: literal(true),
+    data: dataSchema,
+  });
+}
+
+// Shapes of `data` per endpoint
+const library = object({ id: string, name: string });
+const playlist = object({ id: string, name: string });
+const song = object({ id: string, title: string, duration: optional(number) });
+
+export const contracts = {
+  me: envelope(object({ id: string, email: string })),
+  libraries: envelope(arrayOf(library)),
+  playlists: envelope(arrayOf(playlist)),
+  playlist: envelope(playlist),
+  songs: envelope(arrayOf(song)),
+  upload: envelope(object({ song: object({ id: string }) })),
+};
+
+// Samples logged so far on this VU, per contract
+const samplesLogged = {};
+
+function logSample(name, res, errors) {
+  samplesLogged[name] = (samplesLogged[name] || 0) + 1;
+  if (samplesLogged[name] > maxSamples) return;
+  
+  const body = typeof res.body === 'string' ? res.body : String(res.body);
+  const sample = body.length > maxSampleLength ? `${body.substring(0, maxSampleLength)}...` : body;
+  console.warn(`Contract violation [${name}] ${res.request.method} ${res.url} (${res.status}): ${errors.slice(0, 5).join('; ')}\n${sample}`);
+}
+
+/**
+ * Validate a successful response against a named contract
+ * Returns the envelope's `data` when it conforms, otherwise null. Non-2xx
+ * responses are left to status checks and http_req_failed.
+ */
+export function checkContract(res, name) {
+  if (res.status < 200 || res.status >= 300) return null;
+  
+  let body;
+  let errors;
+  try {
+    body = JSON.parse(res.body);
+    errors = contracts[name](body, 'body');
+  } catch {
+    errors = ['body: invalid JSON'];
+  }
+  
+  const violated = errors.length > 0;
+  contractViolations.add(violated, { contract: name });
+  if (violated) {
+    logSample(name, res, errors);
+    return null;
+  }
+  return body.data;
+}
@@ -0,0 +1,98 @@
+/**
+ * Per-endpoint metric breakdown
+ *
+ * Requests carry a stable `name` tag (config endpointNames), so http_req_*
+ * metrics can be split per endpoint. k6 only reports submetrics that have a
+ * threshold, so every endpoint a script uses gets its configured thresholds
+ * plus pass-through ones for duration, failures and request count; the
+ * end-of-run table reads those submetrics.
+ */
+
+import { endpointThresholds } from '../config.js';
+
+// Thresholds that never fail, only make the submetric visible
+const tracked = {
+  'http_req_duration': ['max>=0'],
+  'http_req_failed': ['rate>=0'],
+  'http_reqs': ['count>=0'],
+};
+
+/**
+ * Submetric thresholds for the given endpoint names
+ * Configured limits replace the pass-through threshold of the same metric
+ */
+export function perEndpointThresholds(names) {
+  const result = {};
+  for (const name of names) {
+    const limits = { ...tracked, ...(endpointThresholds[name] || {}) };
+    for (const [metric, rules] of Object.entries(limits)) {
+      result[`${metric}{name:${name}}`] = rules;
+    }
+  }
+  return result;
+}
+
+export function formatMs(value) {
+  if (value === undefined) return '-';
+  return value >= 1000 ? `${(value / 1000).toFixed(2)}s` : `${value.toFixed(1)}ms`;
+}
+
+/**
+ * Per-endpoint rows: [{ name, requests, rps, p50, p95, p99, errorRate }]
+ * Endpoints without requests are left out. Needs 'med', 'p(95)' and 'p(99)'
+ * in summaryTrendStats.
+ */
+export function endpointRows(data, names) {
+  const rows = [];
+  
+  for (const name of names) {
+    const requests = data.metrics[`http_reqs{name:${name}}`];
+    if (!requests || requests.values.count === 0) continue;
+    
+    const duration = data.metrics[`http_req_duration{name:${name}}`];
+    const failed = data.metrics[`http_req_failed{name:${name}}`];
+    const d = duration ? duration.values : {};
+    rows.push({
+      name,
+      requests: requests.values.count,
+      rps: requests.values.rate,
+      p50: d.med,
+      p95: d['p(95)'],
+      p99: d['p(99)'],
+      errorRate: failed ? failed.values.rate : undefined,
+    });
+  }
+  
+  return rows;
+}
+
+// Text table: p50/p95/p99, RPS and error rate per endpoint
+export function endpointTable(data, names) {
+  const header = ['Endpoint', 'Requests', 'RPS', 'p50', 'p95', 'p99', 'Errors'];
+  const rows = endpointRows(data, names).map((row) => [
+    row.name,
+    String(row.requests),
+    row.rps.toFixed(2),
+    formatMs(row.p50),
+    formatMs(row.p95),
+    formatMs(row.p99),
+    row.errorRate === undefined ? '-' : `${(row.errorRate * 100).toFixed(2)}%`,
+  ]);
+  
+  if (rows.length === 0) return '';
+  
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const line = (cells) => cells
+    .map((cell, i) => (i === 0 ? cell.padEnd(widths[i]) : cell.padStart(widths[i])))
+    .join('  ');
+  
+  return [
+    '',
+    '     Per-endpoint breakdown',
+    '',
+    `     ${line(header)}`,
+    `     ${widths.map((w) => '-'.repeat(w)).join('  ')}`,
+    ...rows.map((row) => `     ${line(row)}`),
+    '',
+  ].join('\n');
+}
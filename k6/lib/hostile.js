@@ -0,0 +1,237 @@
+/**
+ * Malformed and hostile upload input
+ *
+ * The upload path normally only sees well-formed files. In hostile mode
+ * (UPLOAD_HOSTILE_RATIO) a share of the upload iterations sends one of the
+ * cases below instead, next to the normal uploads, so a parser or multipart
+ * handler that falls over on bad input shows up as 5xx, hangs or memory
+ * spikes while the good uploads keep their thresholds.
+ *
+ * Payloads are built in the VU from a few bytes of MP3 structure (ID3v2.3
+ * tag, 128kbps MPEG-1 Layer III frames); only `oversized` and
+ * `huge_tag_frame` are large. Those are built per request and dropped after
+ * it, so a VU holds no large payload between hostile uploads.
+ */
+
+import http from 'k6/http';
+
+// Request timeout; no answer by then counts as a hang
+export const hostileTimeout = '30s';
+
+// k6 error code of a request that timed out
+const TIMEOUT_ERROR_CODE = 1050;
+
+// Unexpected outcomes logged per VU
+const maxSamples = parseInt(__ENV.CONTRACT_SAMPLES || '3');
+let samplesLogged = 0;
+
+// 128kbps, 44.1kHz, stereo, no padding: 417-byte frames
+const FRAME_HEADER = [0xFF, 0xFB, 0x90, 0x00];
+const FRAME_BYTES = 417;
+
+function concat(parts) {
+  const data = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    data.set(part, offset);
+    offset += part.length;
+  }
+  return data;
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+}
+
+function mp3Frames(count) {
+  const data = new Uint8Array(count * FRAME_BYTES);
+  for (let i = 0; i < count; i++) data.set(FRAME_HEADER, i * FRAME_BYTES);
+  return data;
+}
+
+function syncsafe(size) {
+  return [(size >> 21) & 0x7F, (size >> 14) & 0x7F, (size >> 7) & 0x7F, size & 0x7F];
+}
+
+// ID3v2.3 header with the four raw size bytes
+function id3Header(sizeBytes) {
+  return concat([ascii('ID3'), Uint8Array.of(3, 0, 0), Uint8Array.from(sizeBytes)]);
+}
+
+function id3Frame(id, content) {
+  const size = content.length;
+  const header = Uint8Array.of((size >>> 24) & 0xFF, (size >> 16) & 0xFF, (size >> 8) & 0xFF, size & 0xFF, 0, 0);
+  return concat([ascii(id), header, content]);
+}
+
+function titleFrame(title) {
+  return id3Frame('TIT2', concat([Uint8Array.of(0), ascii(title)]));
+}
+
+function id3Tag(frames) {
+  const body = concat(frames);
+  return concat([id3Header(syncsafe(body.length)), body]);
+}
+
+// A small, well-formed MP3: title tag and 20 frames (~0.5s)
+function smallMp3(title) {
+  return concat([id3Tag([titleFrame(title)]), mp3Frames(20)]);
+}
+
+// Leading bytes of common non-audio files
+const NOT_AUDIO_SIGNATURES = [
+  [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A], // PNG
+  [0x50, 0x4B, 0x03, 0x04],                         // ZIP
+  [0x25, 0x50, 0x44, 0x46, 0x2D, 0x31, 0x2E, 0x37], // %PDF-1.7
+  [0x7F, 0x45, 0x4C, 0x46],                         // ELF
+];
+
+function pick(items) {
+  return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Multipart bodies that don't parse: a part without the closing boundary,
+ * a body using another boundary than declared, a multipart Content-Type
+ * without boundary, or part headers that never end
+ */
+function brokenMultipart() {
+  const boundary = `----M3WHostile${Date.now().toString(16)}`;
+  const head = (b) => ascii(
+    `--${b}\r\nContent-Disposition: form-data; name="file"; filename="broken.mp3"\r\n` +
+    'Content-Type: audio/mpeg\r\n\r\n'
+  );
+  const audio = smallMp3('Broken multipart');
+  const tail = ascii(`\r\n--${boundary}--\r\n`);
+  
+  const variants = [
+    () => ({ body: concat([head(boundary), audio]), contentType: `multipart/form-data; boundary=${boundary}` }),
+    () => ({ body: concat([head(`${boundary}x`), audio, tail]), contentType: `multipart/form-data; boundary=${boundary}` }),
+    () => ({ body: concat([head(boundary), audio, tail]), contentType: 'multipart/form-data' }),
+    () => ({
+      body: concat([ascii(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="broken.mp3"\r\n`), audio, tail]),
+      contentType: `multipart/form-data; boundary=${boundary}`,
+    }),
+  ];
+  const { body, contentType } = pick(variants)();
+  return { raw: body.buffer, contentType };
+}
+
+/**
+ * Hostile cases: `expect` lists the statuses that count as handled; any
+ * other status, a 5xx or a hang does not. Each case builds either a `file`
+ * ({ data, mimeType }) sent as a normal multipart upload, or a `raw` body
+ * with its own Content-Type. Sizes come from `sizes` ({ tagMB, oversizedMB }).
+ */
+export const hostileCases = [
+  {
+    name: 'zero_byte',
+    expect: [400, 415, 422],
+    build: () => ({ file: { data: new Uint8Array(0), mimeType: 'audio/mpeg' } }),
+  },
+  {
+    // Tag and 100 bytes of the first frame, no complete frame
+    name: 'truncated_frame',
+    expect: [400, 415, 422],
+    build: () => ({
+      file: { data: concat([id3Tag([titleFrame('Truncated')]), mp3Frames(1).subarray(0, 100)]), mimeType: 'audio/mpeg' },
+    }),
+  },
+  {
+    // Tag size far beyond the end of the file, or not syncsafe at all
+    name: 'bad_id3_size',
+    expect: [400, 415, 422],
+    build: () => ({
+      file: {
+        data: concat([id3Header(pick([[0x7F, 0x7F, 0x7F, 0x7F], [0xFF, 0xFF, 0xFF, 0xFF]])), titleFrame('Bad size'), mp3Frames(20)]),
+        mimeType: 'audio/mpeg',
+      },
+    }),
+  },
+  {
+    // One TXXX frame of tagMB in front of half a second of audio. The tag
+    // is well-formed, so accepting it is fine; allocating it many times over
+    // shows up as a memory spike
+    name: 'huge_tag_frame',
+    expect: [200, 201, 400, 413, 415, 422],
+    build: ({ tagMB }) => {
+      const text = new Uint8Array(tagMB * 1024 * 1024).fill(0x41);
+      const frame = id3Frame('TXXX', concat([Uint8Array.of(0, 0), text]));
+      return { file: { data: concat([id3Tag([frame]), mp3Frames(20)]), mimeType: 'audio/mpeg' } };
+    },
+  },
+  {
+    // A valid MP3 declared as HTML
+    name: 'wrong_content_type',
+    expect: [400, 415],
+    build: () => ({ file: { data: smallMp3('Wrong type'), mimeType: 'text/html' } }),
+  },
+  {
+    // Image, archive, document or executable renamed to .mp3
+    name: 'not_audio',
+    expect: [400, 415, 422],
+    build: () => {
+      const data = new Uint8Array(64 * 1024);
+      data.set(pick(NOT_AUDIO_SIGNATURES));
+      return { file: { data, mimeType: 'audio/mpeg' } };
+    },
+  },
+  {
+    // Larger than the server accepts; closing the connection early is a
+    // valid answer too
+    name: 'oversized',
+    expect: [413],
+    closeOk: true,
+    build: ({ oversizedMB }) => {
+      const data = new Uint8Array(oversizedMB * 1024 * 1024);
+      data.set(smallMp3('Oversized'));
+      return { file: { data, mimeType: 'audio/mpeg' } };
+    },
+  },
+  {
+    name: 'broken_multipart',
+    expect: [400],
+    build: brokenMultipart,
+  },
+];
+
+export function pickHostileCase() {
+  return pick(hostileCases);
+}
+
+/**
+ * Send one hostile upload to `url`; `tags` go on the request
+ * Returns { res, outcome }: outcome is 'handled' (an expected status, or a
+ * closed connection where that is allowed), 'unexpected' (another non-5xx
+ * status), 'server_error', 'hang' (timed out) or 'closed'
+ */
+export function hostileUpload(url, headers, hostileCase, sizes, tags) {
+  const payload = hostileCase.build(sizes);
+  const params = {
+    headers: payload.raw ? { ...headers, 'Content-Type': payload.contentType } : headers,
+    timeout: hostileTimeout,
+    tags,
+    // The expected rejections are not request failures
+    responseCallback: http.expectedStatuses(...hostileCase.expect),
+  };
+  const body = payload.raw || {
+    file: http.file(payload.file.data.buffer, `hostile-${__VU}-${__ITER}.mp3`, payload.file.mimeType),
+  };
+  const res = http.post(url, body, params);
+  
+  let outcome;
+  if (res.error_code === TIMEOUT_ERROR_CODE) outcome = 'hang';
+  else if (res.status === 0) outcome = hostileCase.closeOk ? 'handled' : 'closed';
+  else if (res.status >= 500) outcome = 'server_error';
+  else outcome = hostileCase.expect.includes(res.status) ? 'handled' : 'unexpected';
+  return { res, outcome };
+}
+
+// Log the first few mishandled hostile uploads of this VU
+export function logHostileOutcome(hostileCase, res, outcome) {
+  samplesLogged++;
+  if (samplesLogged > maxSamples) return;
+  
+  const body = typeof res.body === 'string' ? res.body.slice(0, 200) : '';
+  console.warn(`Hostile ${hostileCase.name}: ${outcome}, status ${res.status}${res.error ? ` (${res.error})` : ''}, expected ${hostileCase.expect.join('/')} ${body}`);
+}
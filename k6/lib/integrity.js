@@ -0,0 +1,76 @@
+/**
+ * Upload integrity by stream-back
+ *
+ * A 201 with the right metadata says nothing about the stored bytes. In
+ * integrity mode (UPLOAD_VERIFY) every uploaded song is streamed back from
+ * /api/songs/:id/stream right away and its SHA-256 compared against the
+ * bytes that were sent, so a truncated or corrupted write under concurrency
+ * fails the run instead of passing as a fast upload. The time from the
+ * upload response to the first byte of the stream-back is the read-after-
+ * write latency, including retries while the song is not readable yet.
+ */
+
+import http from 'k6/http';
+import crypto from 'k6/crypto';
+import { sleep } from 'k6';
+import { config, endpoints, endpointNames } from '../config.js';
+
+// A song may not be readable the moment its upload returns
+const notReadyRetries = 5;
+const notReadyDelaySeconds = 0.2;
+
+// Mismatches logged per VU
+const maxSamples = parseInt(__ENV.CONTRACT_SAMPLES || '3');
+let samplesLogged = 0;
+
+/**
+ * Stream `songId` back in full, retrying while it answers 404
+ * Returns { res, readAfterWriteMs, retries }; readAfterWriteMs counts from
+ * `writtenAt` (when the upload response arrived) to the first byte
+ */
+export function streamBack(songId, headers, writtenAt, timeout) {
+  let retries = 0;
+  for (;;) {
+    const res = http.get(`${config.baseUrl}${endpoints.stream(songId)}`, {
+      headers,
+      responseType: 'binary',
+      timeout,
+      tags: { type: 'stream', name: endpointNames.stream, phase: 'stream_back' },
+      responseCallback: http.expectedStatuses(200, 206, 404),
+    });
+    if (res.status !== 404 || retries >= notReadyRetries) {
+      const firstByteAt = Date.now() - res.timings.receiving;
+      return { res, readAfterWriteMs: firstByteAt - writtenAt, retries };
+    }
+    retries++;
+    sleep(notReadyDelaySeconds);
+  }
+}
+
+/**
+ * Compare a stream-back response against the sent bytes
+ * Returns { kind, sentBytes, receivedBytes }: kind is 'ok', 'unreadable'
+ * (no 200/206 body), 'truncated' (fewer bytes), 'oversized' (more bytes) or
+ * 'corrupted' (same length, different hash)
+ */
+export function compareStreamBack(res, sentData) {
+  const sentBytes = sentData.byteLength;
+  if ((res.status !== 200 && res.status !== 206) || !res.body) {
+    return { kind: 'unreadable', sentBytes, receivedBytes: 0 };
+  }
+  
+  const receivedBytes = res.body.byteLength;
+  let kind = 'ok';
+  if (receivedBytes < sentBytes) kind = 'truncated';
+  else if (receivedBytes > sentBytes) kind = 'oversized';
+  else if (crypto.sha256(res.body, 'hex') !== crypto.sha256(sentData, 'hex')) kind = 'corrupted';
+  return { kind, sentBytes, receivedBytes };
+}
+
+// Log the first few integrity failures of this VU
+export function logIntegrityFailure(songId, fileName, status, result) {
+  samplesLogged++;
+  if (samplesLogged > maxSamples) return;
+  
+  console.warn(`Integrity ${result.kind} for song ${songId} (${fileName}): status ${status}, sent ${result.sentBytes} bytes, read back ${result.receivedBytes}`);
+}
@@ -0,0 +1,69 @@
+/**
+ * Upload metadata round-trip
+ *
+ * Real-format fixtures carry known tags; their manifest (<file>.json, see
+ * scripts/lib/audio.cjs) records the values and the exact duration. The song
+ * record returned by an upload must show the same values, so a metadata
+ * parser change that speeds uploads up by reading less of the file, or
+ * misreads a frame, fails here instead of passing as a faster upload.
+ */
+
+// Stored durations may be rounded to whole seconds
+const durationToleranceSeconds = 1;
+
+// Mismatches logged per VU
+const maxSamples = parseInt(__ENV.CONTRACT_SAMPLES || '3');
+let samplesLogged = 0;
+
+const text = (value) => (value === undefined || value === null ? null : String(value).trim());
+const integer = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+// Compared fields: expected value from the manifest, actual value from the song
+const fields = [
+  { field: 'title', expected: (m) => text(m.tags.title), actual: (song) => text(song.title) },
+  { field: 'artist', expected: (m) => text(m.tags.artist), actual: (song) => text(song.artist) },
+  { field: 'album', expected: (m) => text(m.tags.album), actual: (song) => text(song.album) },
+  { field: 'trackNumber', expected: (m) => integer(m.tags.trackNumber), actual: (song) => integer(song.trackNumber) },
+  { field: 'year', expected: (m) => integer(m.tags.year), actual: (song) => integer(song.year) },
+  { field: 'genre', expected: (m) => text(m.tags.genre), actual: (song) => text(song.genre) },
+];
+
+// Duration lives on the song or on its file record, depending on the response
+function songDuration(song) {
+  const duration = song.duration !== undefined && song.duration !== null
+    ? song.duration
+    : song.file && song.file.duration;
+  return typeof duration === 'number' ? duration : null;
+}
+
+/**
+ * Compare an uploaded song against the manifest of the fixture it came from
+ * Returns [{ field, expected, actual }, ...], empty when everything matches
+ */
+export function metadataMismatches(song, manifest) {
+  const mismatches = [];
+  for (const { field, expected, actual } of fields) {
+    const want = expected(manifest);
+    if (want === null) continue;
+    
+    const got = actual(song);
+    if (got !== want) mismatches.push({ field, expected: want, actual: got });
+  }
+  
+  const duration = songDuration(song);
+  if (duration === null || Math.abs(duration - manifest.durationSeconds) > durationToleranceSeconds) {
+    mismatches.push({ field: 'duration', expected: manifest.durationSeconds, actual: duration });
+  }
+  return mismatches;
+}
+
+// Log the first few mismatching songs of this VU
+export function logMismatches(song, fileName, mismatches) {
+  samplesLogged++;
+  if (samplesLogged > maxSamples) return;
+  
+  const details = mismatches
+    .map(({ field, expected, actual }) => `${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`)
+    .join('; ');
+  console.warn(`Metadata mismatch for song ${song.id} (${fileName}): ${details}`);
+}
@@ -0,0 +1,68 @@
+/**
+ * Unique upload copies of real-format fixtures
+ *
+ * Fixtures from `generate-upload-files.cjs --format` carry a 32-character
+ * placeholder in their tags (M3W_NONCE); the manifest next to each file
+ * (<file>.json) records where it is. Writing a per-upload nonce there gives
+ * every copy its own content hash while the audio stays decodable. Ogg pages
+ * are checksummed, so the page holding the tags gets a fresh CRC.
+ *
+ * Duplicate uploads (dedupe mode) write a fixed nonce instead, so the same
+ * content hash comes back on purpose.
+ */
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let value = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 0x80000000 ? (value << 1) ^ 0x04c11db7 : value << 1;
+    }
+    table[i] = value >>> 0;
+  }
+  return table;
+})();
+
+function hex(value, length) {
+  return value.toString(16).padStart(length, '0').slice(-length);
+}
+
+// Recompute the CRC-32 of the Ogg page at offset..offset+length
+function updateOggPageCrc(data, offset, length) {
+  for (let i = 22; i < 26; i++) data[offset + i] = 0;
+  
+  let crc = 0;
+  for (let i = offset; i < offset + length; i++) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ data[i]) & 0xFF]) >>> 0;
+  }
+  
+  data[offset + 22] = crc & 0xFF;
+  data[offset + 23] = (crc >>> 8) & 0xFF;
+  data[offset + 24] = (crc >>> 16) & 0xFF;
+  data[offset + 25] = (crc >>> 24) & 0xFF;
+}
+
+// Nonce of one upload: VU, iteration and timestamp as lowercase hex
+export function uniqueNonce(vu, iter) {
+  return `${hex(vu, 8)}${hex(iter, 8)}${hex(Date.now(), 16)}`;
+}
+
+// Nonce shared by every upload of one duplicate content (no timestamp)
+export function duplicateNonce(owner, slot) {
+  return `${hex(owner, 8)}${hex(slot, 8)}${'d'.repeat(16)}`;
+}
+
+/**
+ * Write `nonce` into `data` (a fixture's bytes) at the manifest's nonce offset
+ */
+export function writeNonce(data, manifest, nonce) {
+  nonce = nonce.slice(0, manifest.nonceLength);
+  for (let i = 0; i < nonce.length; i++) {
+    data[manifest.nonceOffset + i] = nonce.charCodeAt(i);
+  }
+  
+  if (manifest.checksum && manifest.checksum.type === 'ogg-page') {
+    updateOggPageCrc(data, manifest.checksum.offset, manifest.checksum.length);
+  }
+  return data;
+}
@@ -0,0 +1,97 @@
+/**
+ * Byte-range helpers
+ *
+ * Parsing of Content-Range and multipart/byteranges responses and byte
+ * comparison against a known source file, for Range correctness checks.
+ */
+
+// `Content-Range: bytes 100-199/3145728` or `bytes */3145728` (416)
+// Returns { start, end, total } with start/end null for the unsatisfied form
+export function parseContentRange(header) {
+  const match = /^bytes (?:(\d+)-(\d+)|\*)\/(\d+|\*)$/.exec((header || '').trim());
+  if (!match) return null;
+  
+  return {
+    start: match[1] === undefined ? null : parseInt(match[1]),
+    end: match[2] === undefined ? null : parseInt(match[2]),
+    total: match[3] === '*' ? null : parseInt(match[3]),
+  };
+}
+
+function toBytes(data) {
+  if (data instanceof Uint8Array) return data;
+  return new Uint8Array(data || new ArrayBuffer(0));
+}
+
+// True when `body` is exactly bytes start..end (inclusive) of `source`
+export function bytesMatch(body, source, start, end) {
+  const actual = toBytes(body);
+  const expected = toBytes(source);
+  if (actual.length !== end - start + 1 || end >= expected.length) return false;
+  
+  for (let i = 0; i < actual.length; i++) {
+    if (actual[i] !== expected[start + i]) return false;
+  }
+  return true;
+}
+
+function indexOf(haystack, needle, from) {
+  outer:
+  for (let i = from; i <= haystack.length - needle.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (haystack[i + j] !== needle[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
+
+function asciiBytes(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes;
+}
+
+function asciiText(bytes) {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) text += String.fromCharCode(bytes[i]);
+  return text;
+}
+
+/**
+ * Split a multipart/byteranges body into its parts
+ * Returns [{ contentRange, body }] (body is a Uint8Array), or null when the
+ * content type is not multipart or has no boundary
+ */
+export function parseByteRanges(body, contentType) {
+  const match = /multipart\/byteranges;\s*boundary="?([^";]+)"?/i.exec(contentType || '');
+  if (!match) return null;
+  
+  const bytes = toBytes(body);
+  const delimiter = asciiBytes(`--${match[1]}`);
+  const headerEnd = asciiBytes('\r\n\r\n');
+  const parts = [];
+  
+  let pos = indexOf(bytes, delimiter, 0);
+  while (pos !== -1) {
+    const afterDelimiter = pos + delimiter.length;
+    // `--boundary--` closes the body
+    if (bytes[afterDelimiter] === 0x2d && bytes[afterDelimiter + 1] === 0x2d) break;
+    
+    const bodyStart = indexOf(bytes, headerEnd, afterDelimiter);
+    if (bodyStart === -1) break;
+    const next = indexOf(bytes, delimiter, bodyStart + headerEnd.length);
+    if (next === -1) break;
+    
+    const headers = asciiText(bytes.subarray(afterDelimiter, bodyStart));
+    const contentRange = /content-range:\s*([^\r\n]+)/i.exec(headers);
+    parts.push({
+      contentRange: contentRange ? contentRange[1] : null,
+      // Part body ends before the CRLF that precedes the next delimiter
+      body: bytes.subarray(bodyStart + headerEnd.length, next - 2),
+    });
+    pos = next;
+  }
+  
+  return parts;
+}
@@ -0,0 +1,189 @@
+/**
+ * End-of-run reports
+ *
+ * Every script exports `handleSummary = summaryHandler('<test>', endpoints)`.
+ * Besides k6's text summary (plus the per-endpoint table) it writes
+ * - summary.json: threshold results (with observed values), check counts,
+ *   per-endpoint rows and all k6 metrics
+ * - report.html: self-contained report with the same tables
+ *
+ * The runners pass RESULTS_DIR, a timestamped run directory under results/,
+ * and afterwards fill the resource chart placeholder in report.html from the
+ * monitor samples (scripts/lib/report.cjs). Standalone runs write
+ * `results/<test>-<timestamp>-summary.json` / `-report.html` instead.
+ */
+
+import { textSummary } from './text-summary.js';
+import { endpointRows, endpointTable, formatMs } from './endpoints.js';
+
+// Replaced by the runners with resource charts (keep in sync with scripts/lib/report.cjs)
+const RESOURCE_CHARTS_START = '<!-- RESOURCE_CHARTS -->';
+const RESOURCE_CHARTS_END = '<!-- /RESOURCE_CHARTS -->';
+
+// Observed value of a threshold, formatted like the metric
+function formatObserved(metric, stat, value) {
+  if (value === undefined) return '-';
+  if (stat === 'rate') return `${(value * 100).toFixed(2)}%`;
+  if (metric.contains === 'time') return formatMs(value);
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Threshold results: [{ metric, threshold, ok, stat, value, observed }]
+// `stat` is the aggregation the expression tests (p(95), rate, count, ...),
+// `value` what the run observed for it and `observed` the formatted value.
+// Pass-through thresholds that only expose submetrics (lib/endpoints.js) are
+// left out
+function thresholdResults(data) {
+  const results = [];
+  for (const [metric, values] of Object.entries(data.metrics)) {
+    for (const [threshold, result] of Object.entries(values.thresholds || {})) {
+      if (threshold.endsWith('>=0')) continue;
+      const stat = (threshold.match(/^\s*([a-z]+(?:\([\d.]+\))?)/) || [])[1];
+      const value = values.values[stat];
+      results.push({ metric, threshold, ok: result.ok, stat, value, observed: formatObserved(values, stat, value) });
+    }
+  }
+  return results;
+}
+
+// Named checks with pass/fail counts: [{ name, group, passes, fails }]
+function checkResults(group, results = []) {
+  for (const c of group.checks || []) {
+    results.push({ name: c.name, group: group.path, passes: c.passes, fails: c.fails });
+  }
+  for (const child of group.groups || []) {
+    checkResults(child, results);
+  }
+  return results;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlTable(header, rows) {
+  const head = header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('');
+  const body = rows
+    .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`)
+    .join('\n');
+  return `<table>\n<tr>${head}</tr>\n${body}\n</table>`;
+}
+
+// Headline values of a k6 metric for the metrics table
+function metricValues(metric) {
+  const v = metric.values;
+  switch (metric.type) {
+    case 'trend': {
+      const format = metric.contains === 'time' ? formatMs : (x) => (x === undefined ? '-' : x.toFixed(2));
+      return `avg ${format(v.avg)}, p95 ${format(v['p(95)'])}, max ${format(v.max)}`;
+    }
+    case 'rate':
+      return `${(v.rate * 100).toFixed(2)}% (${v.passes}/${v.passes + v.fails})`;
+    case 'counter':
+      return `${v.count} (${v.rate.toFixed(2)}/s)`;
+    default:
+      return `${v.value} (min ${v.min}, max ${v.max})`;
+  }
+}
+
+function htmlReport(test, generatedAt, data, thresholds, endpoints) {
+  const passed = thresholds.every((t) => t.ok);
+  const durationSeconds = (data.state.testRunDurationMs / 1000).toFixed(0);
+  
+  const thresholdRows = thresholds.map((t) => [
+    escapeHtml(t.metric),
+    `<code>${escapeHtml(t.threshold)}</code>`,
+    escapeHtml(t.observed),
+    t.ok ? '<span class="pass">pass</span>' : '<span class="fail">fail</span>',
+  ]);
+  
+  const endpointRowsHtml = endpoints.map((row) => [
+    `<code>${escapeHtml(row.name)}</code>`,
+    row.requests,
+    row.rps.toFixed(2),
+    formatMs(row.p50),
+    formatMs(row.p95),
+    formatMs(row.p99),
+    row.errorRate === undefined ? '-' : `${(row.errorRate * 100).toFixed(2)}%`,
+  ]);
+  
+  // Top-level metrics only; submetrics are covered by the tables above
+  const metricRows = Object.entries(data.metrics)
+    .filter(([name]) => !name.includes('{'))
+    .sort((a, b) => a[0].localeCompare(b[0]))
+    .map(([name, metric]) => [escapeHtml(name), escapeHtml(metricValues(metric))]);
+  
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>M3W load test: ${escapeHtml(test)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2em; color: #222; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  th, td { border: 1px solid #ddd; padding: 4px 10px; text-align: right; }
+  th:first-child, td:first-child { text-align: left; }
+  th { background: #f4f4f4; }
+  .pass { color: #1a7f37; font-weight: bold; }
+  .fail { color: #cf222e; font-weight: bold; }
+  .muted { color: #777; }
+</style>
+</head>
+<body>
+<h1>M3W load test: ${escapeHtml(test)}</h1>
+<p>${escapeHtml(generatedAt)} | ${durationSeconds}s | ${passed ? '<span class="pass">all thresholds passed</span>' : '<span class="fail">thresholds failed</span>'}</p>
+
+<h2>Thresholds</h2>
+${thresholdRows.length > 0 ? htmlTable(['Metric', 'Threshold', 'Observed', 'Result'], thresholdRows) : '<p class="muted">No thresholds</p>'}
+
+<h2>Endpoints</h2>
+${endpointRowsHtml.length > 0 ? htmlTable(['Endpoint', 'Requests', 'RPS', 'p50', 'p95', 'p99', 'Errors'], endpointRowsHtml) : '<p class="muted">No per-endpoint metrics</p>'}
+
+<h2>Resources</h2>
+${RESOURCE_CHARTS_START}
+<p class="muted">Container resource charts are added when the test runs through the runner scripts.</p>
+${RESOURCE_CHARTS_END}
+
+<h2>Metrics</h2>
+${htmlTable(['Metric', 'Value'], metricRows)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Build a handleSummary function for a test
+ * `endpoints` are the endpoint names shown in the per-endpoint tables
+ */
+export function summaryHandler(test, endpoints = []) {
+  return function handleSummary(data) {
+    const generatedAt = new Date().toISOString();
+    const thresholds = thresholdResults(data);
+    const endpointData = endpointRows(data, endpoints);
+    
+    const prefix = __ENV.RESULTS_DIR
+      ? `${__ENV.RESULTS_DIR}/`
+      : `results/${test}-${generatedAt.replace(/[:.]/g, '-')}-`;
+    
+    const summary = {
+      test,
+      generatedAt,
+      durationMs: data.state.testRunDurationMs,
+      passed: thresholds.every((t) => t.ok),
+      thresholds,
+      checks: checkResults(data.root_group),
+      endpoints: endpointData,
+      metrics: data.metrics,
+    };
+    
+    return {
+      stdout: textSummary(data, { indent: ' ', enableColors: true }) + endpointTable(data, endpoints),
+      [`${prefix}summary.json`]: JSON.stringify(summary, null, 2),
+      [`${prefix}report.html`]: htmlReport(test, generatedAt, data, thresholds, endpointData),
+    };
+  };
+}
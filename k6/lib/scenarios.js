@@ -0,0 +1,203 @@
+/**
+ * Capacity scenario builder
+ *
+ * Turns the behavior weights into named k6 scenarios (startup, listening,
+ * managing), each driven by either a closed model (ramping-vus) or an open
+ * model (ramping-/constant-arrival-rate). In the open model new sessions keep
+ * arriving when the server slows down, so saturation shows up as latency,
+ * errors and dropped_iterations instead of a quietly lower request rate.
+ *
+ * The behavior weights are shares of iterations. The open model uses them as
+ * shares of the arrival rate; the closed model splits VUs by weight times
+ * iteration length, since a VU looping a long phase starts fewer iterations.
+ */
+
+import {
+  capacityStages,
+  arrivalStages,
+  loadModel,
+  workload,
+  journey,
+  behavior,
+  iterationSeconds,
+  scenarioThresholds,
+} from '../config.js';
+
+// Scale a stage target by a scenario weight, keeping non-zero stages non-zero
+function scaleTarget(target, weight) {
+  return target > 0 ? Math.max(1, Math.round(target * weight)) : 0;
+}
+
+// VUs needed to sustain `perMinute` iterations of `seconds` each, with headroom
+function vusFor(perMinute, seconds) {
+  return Math.max(1, Math.ceil((perMinute / 60) * seconds * 2));
+}
+
+// Time running iterations get to finish on ramp-down and at the end: phases
+// take seconds, a session up to maxSongs songs
+function gracefulFor(name) {
+  if (name !== 'session') return '30s';
+  return `${journey.maxSongs * journey.defaultSongSeconds + 60}s`;
+}
+
+// Closed model: VU shares that give each phase its weight of the iterations
+function closedWeights() {
+  const busy = {};
+  for (const [name, weight] of Object.entries(behavior)) {
+    busy[name] = weight * iterationSeconds[name];
+  }
+  const total = Object.values(busy).reduce((sum, value) => sum + value, 0);
+  const weights = {};
+  for (const [name, value] of Object.entries(busy)) {
+    weights[name] = total > 0 ? value / total : 0;
+  }
+  return weights;
+}
+
+// Breaking-point search holds a single level: [ramp up, hold] for VUs,
+// or a constant arrival rate for the open model
+function levelStages(weight) {
+  const target = scaleTarget(loadModel.level, weight);
+  return [
+    { duration: loadModel.levelRampUp, target },
+    { duration: loadModel.levelHold, target },
+  ];
+}
+
+function closedScenario(name, weight) {
+  if (loadModel.level > 0) {
+    return {
+      executor: 'ramping-vus',
+      exec: name,
+      startVUs: 0,
+      stages: levelStages(weight),
+      gracefulRampDown: gracefulFor(name),
+      gracefulStop: gracefulFor(name),
+      tags: { phase: name },
+    };
+  }
+  
+  return {
+    executor: 'ramping-vus',
+    exec: name,
+    startVUs: 0,
+    stages: capacityStages.map((stage) => ({
+      duration: stage.duration,
+      target: scaleTarget(stage.target, weight),
+    })),
+    gracefulRampDown: gracefulFor(name),
+    gracefulStop: gracefulFor(name),
+    tags: { phase: name },
+  };
+}
+
+function openScenario(name, weight) {
+  const fixedLevel = loadModel.level > 0;
+  if (fixedLevel || loadModel.arrivalProfile === 'constant') {
+    const rate = scaleTarget(fixedLevel ? loadModel.level : loadModel.arrivalRate, weight);
+    const vus = vusFor(rate, iterationSeconds[name]);
+    return {
+      executor: 'constant-arrival-rate',
+      exec: name,
+      rate,
+      timeUnit: '1m',
+      duration: fixedLevel ? loadModel.levelHold : loadModel.arrivalDuration,
+      preAllocatedVUs: Math.ceil(vus / 2),
+      maxVUs: vus,
+      gracefulStop: gracefulFor(name),
+      tags: { phase: name },
+    };
+  }
+  
+  const stages = arrivalStages.map((stage) => ({
+    duration: stage.duration,
+    target: scaleTarget(stage.target, weight),
+  }));
+  const peak = Math.max(...stages.map((stage) => stage.target));
+  const vus = vusFor(peak, iterationSeconds[name]);
+  
+  return {
+    executor: 'ramping-arrival-rate',
+    exec: name,
+    startRate: 0,
+    timeUnit: '1m',
+    stages,
+    preAllocatedVUs: Math.ceil(vus / 2),
+    maxVUs: vus,
+    gracefulStop: gracefulFor(name),
+    tags: { phase: name },
+  };
+}
+
+/**
+ * Build the scenarios for the configured workload and load model:
+ * startup/listening/managing for phases, a single session scenario for journeys
+ */
+export function capacityScenarios() {
+  const build = loadModel.model === 'open' ? openScenario : closedScenario;
+  if (loadModel.model !== 'open' && loadModel.model !== 'closed') {
+    throw new Error(`Unknown LOAD_MODEL: ${loadModel.model} (expected open or closed)`);
+  }
+  
+  if (workload === 'journeys') {
+    // Every VU is a whole session, so the closed model (and a search level)
+    // use the full load; the open model scales the arrival stages down
+    const weight = loadModel.model === 'open' && !loadModel.level ? journey.arrivalScale : 1;
+    return { session: build('session', weight) };
+  }
+  if (workload !== 'phases') {
+    throw new Error(`Unknown WORKLOAD: ${workload} (expected phases or journeys)`);
+  }
+  
+  const weights = loadModel.model === 'open' ? behavior : closedWeights();
+  const scenarios = {};
+  for (const [name, weight] of Object.entries(weights)) {
+    if (weight > 0) {
+      scenarios[name] = build(name, weight);
+    }
+  }
+  return scenarios;
+}
+
+// Add a tag filter to a threshold metric expression:
+// 'http_req_duration{type:api}' -> 'http_req_duration{type:api,scenario:startup}'
+function withTag(metric, tag, value) {
+  if (metric.endsWith('}')) {
+    return `${metric.slice(0, -1)},${tag}:${value}}`;
+  }
+  return `${metric}{${tag}:${value}}`;
+}
+
+/**
+ * Per-scenario thresholds for the scenarios in use
+ * The open model additionally fails when iterations are dropped, which is
+ * how an arrival-rate run reports that the system under test fell behind.
+ */
+export function capacityScenarioThresholds(scenarios) {
+  const result = {};
+  for (const name of Object.keys(scenarios)) {
+    for (const [metric, rules] of Object.entries(scenarioThresholds[name] || {})) {
+      result[withTag(metric, 'scenario', name)] = rules;
+    }
+    if (loadModel.model === 'open') {
+      result[withTag('dropped_iterations', 'scenario', name)] = ['count==0'];
+    }
+  }
+  return result;
+}
+
+/**
+ * Make every threshold abort the run when it fails (breaking-point search)
+ * Evaluation is delayed so a level gets past its ramp-up before judging it.
+ */
+export function abortingThresholds(thresholds) {
+  const result = {};
+  for (const [metric, rules] of Object.entries(thresholds)) {
+    result[metric] = rules.map((rule) => ({
+      threshold: rule,
+      abortOnFail: true,
+      delayAbortEval: loadModel.levelRampUp,
+    }));
+  }
+  return result;
+}
@@ -0,0 +1,81 @@
+/**
+ * Catalog-wide song selection
+ *
+ * Picks a song from a user's catalog according to the configured popularity
+ * distribution, so MinIO and server caches see a realistic mix of hot and
+ * cold objects instead of a single song. Seed writes songIds in catalog rank
+ * order, so rank N is the same track for every user.
+ */
+
+import { songSelection } from '../config.js';
+
+// Zipf CDFs per catalog size (built lazily, per VU)
+const zipfCdfs = {};
+
+function zipfCdf(size) {
+  if (!zipfCdfs[size]) {
+    const weights = [];
+    let total = 0;
+    for (let rank = 1; rank <= size; rank++) {
+      const weight = 1 / Math.pow(rank, songSelection.zipfExponent);
+      weights.push(weight);
+      total += weight;
+    }
+    
+    let cumulative = 0;
+    zipfCdfs[size] = weights.map((weight) => {
+      cumulative += weight / total;
+      return cumulative;
+    });
+  }
+  return zipfCdfs[size];
+}
+
+function uniformIndex(from, to) {
+  return from + Math.floor(Math.random() * (to - from));
+}
+
+function zipfIndex(size) {
+  const cdf = zipfCdf(size);
+  const rand = Math.random();
+  
+  // Binary search for the first rank whose cumulative weight covers rand
+  let low = 0;
+  let high = cdf.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (cdf[mid] < rand) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+function hotIndex(size) {
+  const hot = Math.min(songSelection.hotSongs, size);
+  if (hot === size || Math.random() < songSelection.hotRatio) {
+    return uniformIndex(0, hot);
+  }
+  return uniformIndex(hot, size);
+}
+
+/**
+ * Pick a song ID from a catalog (array in rank order)
+ * Returns undefined for an empty catalog
+ */
+export function pickSong(songIds) {
+  if (!songIds || songIds.length === 0) return undefined;
+  
+  switch (songSelection.distribution) {
+    case 'uniform':
+      return songIds[uniformIndex(0, songIds.length)];
+    case 'hot':
+      return songIds[hotIndex(songIds.length)];
+    case 'zipf':
+      return songIds[zipfIndex(songIds.length)];
+    default:
+      throw new Error(`Unknown SONG_DISTRIBUTION: ${songSelection.distribution}`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Bitrate-paced progressive streaming
+ *
+ * Simulates a player: the song is pulled in sequential Range chunks, the
+ * playhead advances in real time once the first chunk arrives, and the next
+ * chunk is only requested when the buffer ahead of the playhead drops below
+ * the configured window. A chunk that arrives after the playhead has caught
+ * up with the buffered audio is a stall (rebuffer); playback resumes once it
+ * lands, so stalls push the end of the session out like they would for a user.
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, streaming, endpoints, endpointNames } from '../config.js';
+
+const chunkDuration = new Trend('stream_chunk_duration', true);
+const stallDuration = new Trend('stream_stall_duration', true);
+const stalls = new Counter('stream_stalls');
+const rebufferRate = new Rate('stream_rebuffer_rate');
+const streamBytes = new Counter('stream_bytes');
+const sessionBytes = new Trend('stream_session_bytes');
+
+// Parse total size from `Content-Range: bytes 0-262143/3145728`
+function parseTotalSize(res) {
+  const contentRange = res.headers['Content-Range'];
+  if (contentRange) {
+    const match = contentRange.match(/\/(\d+)$/);
+    if (match) return parseInt(match[1]);
+  }
+  // 200 without Content-Range: the server sent the whole file
+  if (res.status === 200) {
+    return parseInt(res.headers['Content-Length'] || '0');
+  }
+  return null;
+}
+
+function receivedBytes(res) {
+  return parseInt(res.headers['Content-Length'] || '0');
+}
+
+/**
+ * Stream a song progressively for `listenSeconds` of playback
+ *
+ * Options override the `streaming` config; additionally `onProgress(position)`
+ * is called every `progressIntervalSeconds` of playback, the way a player
+ * reports its position while the song plays.
+ *
+ * Returns a session summary:
+ * { ok, ttfb, firstByteAt, bytes, chunks, stalls, stallMs, played, totalBytes }
+ */
+export function streamSong(headers, songId, options = {}) {
+  const opts = { ...streaming, ...options };
+  const bytesPerSecond = (opts.bitrateKbps * 1000) / 8;
+  const chunkBytes = opts.chunkSizeKB * 1024;
+  const url = `${config.baseUrl}${endpoints.stream(songId)}`;
+  const progressInterval = opts.onProgress ? opts.progressIntervalSeconds : Infinity;
+  
+  const session = {
+    ok: true,
+    ttfb: null,
+    firstByteAt: null,
+    bytes: 0,
+    chunks: 0,
+    stalls: 0,
+    stallMs: 0,
+    played: 0,
+    totalBytes: null,
+  };
+  
+  // Wall-clock time playback started, shifted forward by every stall
+  let playbackStart = null;
+  const playhead = () => (playbackStart === null ? 0 : (Date.now() - playbackStart) / 1000);
+  
+  let listenEnd = opts.listenSeconds;
+  let nextProgress = progressInterval;
+  
+  while (playhead() < listenEnd) {
+    const fullyBuffered = session.totalBytes !== null && session.bytes >= session.totalBytes;
+    
+    if (!fullyBuffered) {
+      const rangeEnd = session.bytes + chunkBytes - 1;
+      const res = http.get(url, {
+        headers: {
+          ...headers,
+          'Range': `bytes=${session.bytes}-${rangeEnd}`,
+        },
+        responseType: 'none',
+        tags: { type: 'stream', name: endpointNames.stream },
+      });
+      
+      const chunkOk = check(res, {
+        'stream chunk ok': (r) => r.status === 200 || r.status === 206,
+      });
+      if (!chunkOk) {
+        session.ok = false;
+        break;
+      }
+      
+      chunkDuration.add(res.timings.duration);
+      session.chunks++;
+      
+      if (playbackStart === null) {
+        // First audio: playback starts now
+        session.ttfb = res.timings.waiting;
+        session.firstByteAt = Date.now() - res.timings.receiving;
+        session.totalBytes = parseTotalSize(res);
+        playbackStart = Date.now();
+      } else {
+        // Stall if the playhead ran past the audio buffered before this chunk
+        const bufferedSeconds = session.bytes / bytesPerSecond;
+        const overrun = playhead() - bufferedSeconds;
+        const stalled = overrun > 0;
+        rebufferRate.add(stalled);
+        if (stalled) {
+          const overrunMs = overrun * 1000;
+          playbackStart += overrunMs;
+          session.stalls++;
+          session.stallMs += overrunMs;
+          stalls.add(1);
+          stallDuration.add(overrunMs);
+        }
+      }
+      
+      const received = receivedBytes(res);
+      session.bytes += received;
+      streamBytes.add(received);
+      
+      // Server ignored the range or returned nothing new - nothing more to fetch
+      if (received === 0 || res.status === 200) {
+        session.totalBytes = session.bytes;
+      }
+      
+      // Whole song buffered: playback ends with the song at the latest
+      if (session.totalBytes !== null && session.bytes >= session.totalBytes) {
+        listenEnd = Math.min(listenEnd, session.totalBytes / bytesPerSecond);
+      }
+    }
+    
+    if (playhead() >= nextProgress) {
+      opts.onProgress(Math.floor(playhead()));
+      nextProgress += progressInterval;
+    }
+    
+    // Idle until the buffer drains to the window, a progress report is due
+    // or listening ends - whichever comes first
+    let wake = Math.min(listenEnd, nextProgress);
+    if (session.totalBytes === null || session.bytes < session.totalBytes) {
+      const bufferedUntil = session.bytes / bytesPerSecond;
+      wake = Math.min(wake, bufferedUntil - opts.bufferAheadSeconds);
+    }
+    const idle = wake - playhead();
+    if (idle > 0) sleep(idle);
+  }
+  
+  session.played = Math.min(playhead(), listenEnd);
+  sessionBytes.add(session.bytes);
+  
+  return session;
+}
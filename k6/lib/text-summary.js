@@ -0,0 +1,160 @@
+/**
+ * k6's end-of-test text summary
+ *
+ * Local stand-in for textSummary() of the k6-summary jslib
+ * (https://jslib.k6.io/k6-summary/0.0.2/index.js), so a run does not fetch
+ * code from jslib.k6.io. Same layout: checks per group, then every metric
+ * (submetrics under their parent) with its threshold mark and values, trends
+ * with the stats of summaryTrendStats.
+ */
+
+const ANSI = {
+  reset: '\x1b[0m',
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  cyan: '\x1b[36m',
+  faint: '\x1b[2m',
+};
+
+const PASS = '✓';
+const FAIL = '✗';
+
+function decorate(text, color, enableColors) {
+  return enableColors ? `${ANSI[color]}${text}${ANSI.reset}` : text;
+}
+
+function formatNumber(value) {
+  if (Number.isInteger(value)) return String(value);
+  return value.toFixed(Math.abs(value) >= 100 ? 0 : 6).replace(/\.?0+$/, '');
+}
+
+// Milliseconds as k6 prints them: 850µs, 12.34ms, 1.2s, 2m3s
+function formatDuration(ms) {
+  if (ms < 1) return `${(ms * 1000).toFixed(2).replace(/\.?0+$/, '')}µs`;
+  if (ms < 1000) return `${ms.toFixed(2).replace(/\.?0+$/, '')}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(2).replace(/\.?0+$/, '')}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return `${minutes}m${seconds}s`;
+}
+
+// Bytes with SI units, as k6 prints data_sent/data_received
+function formatBytes(bytes) {
+  const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1000 && unit < units.length - 1) {
+    value /= 1000;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+function formatValue(metric, value) {
+  if (metric.contains === 'time') return formatDuration(value);
+  if (metric.contains === 'data') return formatBytes(value);
+  return formatNumber(value);
+}
+
+// "name{tag:value}" sorts right after "name"
+function compareMetricNames(a, b) {
+  const [baseA, tagsA = ''] = a.split('{');
+  const [baseB, tagsB = ''] = b.split('{');
+  if (baseA !== baseB) return baseA < baseB ? -1 : 1;
+  return tagsA < tagsB ? -1 : tagsA > tagsB ? 1 : 0;
+}
+
+// Value columns of one metric, per metric type
+function metricColumns(metric, trendStats, enableColors) {
+  const { values } = metric;
+  switch (metric.type) {
+    case 'counter':
+      return [
+        formatValue(metric, values.count),
+        decorate(`${formatValue(metric, values.rate)}/s`, 'faint', enableColors),
+      ];
+    case 'gauge':
+      return [
+        formatValue(metric, values.value),
+        decorate(`min=${formatValue(metric, values.min)}`, 'faint', enableColors),
+        decorate(`max=${formatValue(metric, values.max)}`, 'faint', enableColors),
+      ];
+    case 'rate':
+      return [
+        `${formatNumber(Math.round(values.rate * 10000) / 100)}%`,
+        `${PASS} ${values.passes}`,
+        `${FAIL} ${values.fails}`,
+      ];
+    case 'trend':
+      return trendStats
+        .filter((stat) => values[stat] !== undefined)
+        .map((stat) => `${stat}=${decorate(formatValue(metric, values[stat]), 'cyan', enableColors)}`);
+    default:
+      return [];
+  }
+}
+
+function summarizeChecks(group, indent, enableColors) {
+  const lines = [];
+  
+  if (group.name) {
+    lines.push('', `${indent}█ ${group.name}`, '');
+    indent = `${indent}  `;
+  }
+  
+  for (const check of group.checks) {
+    if (check.fails === 0) {
+      lines.push(decorate(`${indent}${PASS} ${check.name}`, 'green', enableColors));
+      continue;
+    }
+    const total = check.passes + check.fails;
+    const share = Math.floor((check.passes / total) * 100);
+    lines.push(decorate(`${indent}${FAIL} ${check.name}`, 'red', enableColors));
+    lines.push(decorate(`${indent} ↳  ${share}% — ${PASS} ${check.passes} / ${FAIL} ${check.fails}`, 'red', enableColors));
+  }
+  
+  for (const child of group.groups) {
+    lines.push(...summarizeChecks(child, indent, enableColors));
+  }
+  
+  return lines;
+}
+
+function summarizeMetrics(data, indent, enableColors) {
+  const trendStats = (data.options && data.options.summaryTrendStats) || ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'];
+  const names = Object.keys(data.metrics).sort(compareMetricNames);
+  
+  const rows = names.map((name) => {
+    const metric = data.metrics[name];
+    const thresholds = Object.values(metric.thresholds || {});
+    let mark = ' ';
+    if (thresholds.length > 0) {
+      const ok = thresholds.every((t) => t.ok);
+      mark = decorate(ok ? PASS : FAIL, ok ? 'green' : 'red', enableColors);
+    }
+    const label = name.includes('{') ? `  { ${name.slice(name.indexOf('{') + 1, -1)} }` : name;
+    return { mark, label, columns: metricColumns(metric, trendStats, enableColors) };
+  });
+  
+  const labelWidth = Math.max(0, ...rows.map((row) => row.label.length));
+  return rows.map((row) => {
+    const dots = decorate('.'.repeat(labelWidth - row.label.length + 3), 'faint', enableColors);
+    return `${indent}${row.mark} ${row.label}${dots}: ${row.columns.join(' ')}`;
+  });
+}
+
+/**
+ * Text summary of the handleSummary data
+ * Options: indent (prefix of every line, default ' ') and enableColors
+ */
+export function textSummary(data, options = {}) {
+  const indent = options.indent === undefined ? ' ' : options.indent;
+  const enableColors = Boolean(options.enableColors);
+  
+  const lines = [];
+  const checks = summarizeChecks(data.root_group, `${indent}   `, enableColors);
+  if (checks.length > 0) lines.push(...checks, '');
+  lines.push(...summarizeMetrics(data, `${indent}  `, enableColors));
+  
+  return `\n${lines.join('\n')}\n\n`;
+}
@@ -0,0 +1,28 @@
+/**
+ * Per-VU user identities
+ *
+ * Each VU is bound to one seeded user (round-robin over testUsers), so
+ * per-user query paths, row locks and caches are exercised the way a real
+ * population of listeners would exercise them.
+ */
+
+import { testUsers } from '../config.js';
+
+// Index of the current VU's user in testUsers (setup/teardown run as VU 0
+// and get the first user)
+export function currentUserIndex() {
+  return (Math.max(__VU, 1) - 1) % testUsers.length;
+}
+
+// Identity for the current VU
+export function currentUser() {
+  return testUsers[currentUserIndex()];
+}
+
+// Request headers with auth for the given user
+export function authHeaders(user, extra = {}) {
+  return {
+    'Authorization': `Bearer ${user.token}`,
+    ...extra,
+  };
+}
@@ -0,0 +1,258 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, endpoints, seek, streaming, testUsers } from './config.js';
+import { authHeaders } from './lib/users.js';
+import { parseContentRange, bytesMatch, parseByteRanges } from './lib/ranges.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Seek Test
+ *
+ * Purpose: Verify Range support byte-for-byte and measure seek latency
+ * Tests: Random Range requests against a song whose source file is known
+ *        (seed records it as TEST_SEEK_SONG_ID / TEST_SEEK_FIXTURE)
+ *
+ * Range kinds:
+ * - start:    bytes=0-<chunk>, the start-of-file request a player makes
+ * - mid:      bytes=a-b somewhere inside the file
+ * - suffix:   bytes=-N (last N bytes)
+ * - open:     bytes=a- (to end of file)
+ * - multi:    bytes=a-b,c-d (multipart/byteranges, or the full file if the
+ *             server ignores multi-range)
+ * - outside:  starts past the end, must be 416 with an unsatisfied
+ *             Content-Range carrying the file size
+ *
+ * Every response is checked for status, Content-Range, Content-Length and
+ * content. Seek latency (seek_latency) is tracked apart from start-of-file
+ * TTFB (stream_start_ttfb).
+ *
+ * Usage:
+ *   npm run seed
+ *   source .env.test && k6 run k6/seek.js
+ */
+
+// Source bytes of the seek song (binary, shared by all VUs of this instance)
+const fixture = config.seekFixture ? open(config.seekFixture, 'b') : null;
+const fileSize = fixture ? fixture.byteLength : 0;
+
+// Primary user owns the seek song
+const seekUser = testUsers[0];
+
+// Custom metrics
+const seekLatency = new Trend('seek_latency', true);
+const startTtfb = new Trend('stream_start_ttfb', true);
+const rangeCorrect = new Rate('range_correct');
+const rangeErrors = new Counter('range_errors');
+const multiRangeSupported = new Rate('multirange_supported');
+
+// 416 is the expected answer for ranges outside the file
+const rangeStatuses = http.expectedStatuses(200, 206);
+const unsatisfiableStatus = http.expectedStatuses(416);
+
+export const options = {
+  scenarios: {
+    seek: {
+      executor: 'constant-vus',
+      vus: seek.vus,
+      duration: seek.duration,
+    },
+  },
+  thresholds: {
+    // Any wrong byte or header is a failure
+    'range_correct': ['rate==1'],
+    'seek_latency': ['p(95)<200'],
+    'stream_start_ttfb': ['p(95)<200'],
+    'http_req_failed': ['rate<0.01'],
+  },
+};
+
+// Range kinds and their share of seeks
+const seekKinds = [
+  { kind: 'mid', weight: 0.4 },
+  { kind: 'suffix', weight: 0.15 },
+  { kind: 'open', weight: 0.15 },
+  { kind: 'multi', weight: 0.15 },
+  { kind: 'outside', weight: 0.15 },
+];
+
+function randomInt(min, max) {
+  return min + Math.floor(Math.random() * (max - min + 1));
+}
+
+function pickKind() {
+  let r = Math.random();
+  for (const { kind, weight } of seekKinds) {
+    r -= weight;
+    if (r < 0) return kind;
+  }
+  return seekKinds[0].kind;
+}
+
+function rangeRequest(kind, range, responseCallback = rangeStatuses) {
+  const res = http.get(`${config.baseUrl}${endpoints.stream(config.seekSongId)}`, {
+    headers: authHeaders(seekUser, { 'Range': range }),
+    responseType: 'binary',
+    responseCallback,
+    tags: { type: kind === 'start' ? 'stream' : 'seek', range: kind },
+  });
+  
+  if (kind === 'start') {
+    startTtfb.add(res.timings.waiting);
+  } else {
+    seekLatency.add(res.timings.waiting, { range: kind });
+  }
+  return res;
+}
+
+function record(kind, ok) {
+  rangeCorrect.add(ok, { range: kind });
+  if (!ok) rangeErrors.add(1, { range: kind });
+}
+
+// Single range: 206 with exactly bytes start..end
+function checkSingleRange(kind, res, start, end) {
+  const contentRange = parseContentRange(res.headers['Content-Range']);
+  const tags = { range: kind };
+  
+  return check(res, {
+    'range status 206': (r) => r.status === 206,
+    'range Content-Range': () => contentRange !== null
+      && contentRange.start === start
+      && contentRange.end === end
+      && contentRange.total === fileSize,
+    'range Content-Length': (r) => parseInt(r.headers['Content-Length']) === end - start + 1,
+    'range bytes match': (r) => bytesMatch(r.body, fixture, start, end),
+  }, tags);
+}
+
+function seekSingle(kind) {
+  const maxRange = Math.min(seek.maxRangeKB * 1024, fileSize);
+  let range, start, end;
+  
+  switch (kind) {
+    case 'mid': {
+      start = randomInt(1, fileSize - 1);
+      end = start + randomInt(1, Math.min(maxRange, fileSize - start)) - 1;
+      range = `bytes=${start}-${end}`;
+      break;
+    }
+    case 'suffix': {
+      const length = randomInt(1, maxRange);
+      start = fileSize - length;
+      end = fileSize - 1;
+      range = `bytes=-${length}`;
+      break;
+    }
+    case 'open': {
+      start = randomInt(Math.max(1, fileSize - maxRange), fileSize - 1);
+      end = fileSize - 1;
+      range = `bytes=${start}-`;
+      break;
+    }
+  }
+  
+  const res = rangeRequest(kind, range);
+  record(kind, checkSingleRange(kind, res, start, end));
+}
+
+// Two disjoint ranges, one in each half of the file
+function seekMulti() {
+  const half = Math.floor(fileSize / 2);
+  const partLength = Math.min(4096, Math.floor(half / 2));
+  const first = randomInt(0, half - partLength);
+  const second = randomInt(half, fileSize - partLength);
+  const expected = [
+    { start: first, end: first + partLength - 1 },
+    { start: second, end: second + partLength - 1 },
+  ];
+  
+  const res = rangeRequest('multi', `bytes=${expected.map(e => `${e.start}-${e.end}`).join(',')}`);
+  const tags = { range: 'multi' };
+  let ok;
+  
+  if (res.status === 200) {
+    // Ignoring multi-range is allowed, but then the whole file must come back
+    multiRangeSupported.add(false);
+    ok = check(res, {
+      'multi-range full body matches': (r) => bytesMatch(r.body, fixture, 0, fileSize - 1),
+    }, tags);
+  } else {
+    multiRangeSupported.add(res.status === 206);
+    const parts = parseByteRanges(res.body, res.headers['Content-Type']);
+    ok = check(res, {
+      'multi-range status 206': (r) => r.status === 206,
+      'multi-range parts': () => parts !== null && parts.length === expected.length,
+      'multi-range parts match': () => parts !== null && parts.length === expected.length
+        && parts.every((part, i) => {
+          const contentRange = parseContentRange(part.contentRange);
+          return contentRange !== null
+            && contentRange.start === expected[i].start
+            && contentRange.end === expected[i].end
+            && contentRange.total === fileSize
+            && bytesMatch(part.body, fixture, expected[i].start, expected[i].end);
+        }),
+    }, tags);
+  }
+  
+  record('multi', ok);
+}
+
+// Range starting past the end of the file
+function seekOutside() {
+  const start = fileSize + randomInt(0, 1000);
+  const res = rangeRequest('outside', `bytes=${start}-${start + 100}`, unsatisfiableStatus);
+  const contentRange = parseContentRange(res.headers['Content-Range']);
+  
+  record('outside', check(res, {
+    'out-of-bounds status 416': (r) => r.status === 416,
+    'out-of-bounds Content-Range': () => contentRange !== null
+      && contentRange.start === null
+      && contentRange.total === fileSize,
+  }, { range: 'outside' }));
+}
+
+export default function() {
+  // Start of playback, like the first request of a player
+  const chunkEnd = Math.min(streaming.chunkSizeKB * 1024, fileSize) - 1;
+  const res = rangeRequest('start', `bytes=0-${chunkEnd}`);
+  record('start', checkSingleRange('start', res, 0, chunkEnd));
+  
+  // Scrub around the song
+  for (let i = 0; i < seek.seeksPerIteration; i++) {
+    sleep(0.2 + Math.random() * 0.8);
+    
+    const kind = pickKind();
+    if (kind === 'multi') {
+      seekMulti();
+    } else if (kind === 'outside') {
+      seekOutside();
+    } else {
+      seekSingle(kind);
+    }
+  }
+}
+
+export function setup() {
+  if (!config.seekSongId || !fixture) {
+    throw new Error('TEST_SEEK_SONG_ID / TEST_SEEK_FIXTURE not set - run npm run seed first');
+  }
+  
+  console.log(`Starting seek test against ${config.baseUrl}`);
+  console.log(`Song: ${config.seekSongId} (${fileSize} bytes from ${config.seekFixture})`);
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Seek test completed in ${duration}s`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('seek');
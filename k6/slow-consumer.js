@@ -0,0 +1,117 @@
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, endpoints, endpointNames, slowConsumer, testUsers } from './config.js';
+import { currentUser, authHeaders } from './lib/users.js';
+import { pickSong } from './lib/songs.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Slow-Consumer Streaming Test
+ *
+ * Purpose: Find out whether M3W respects backpressure on streams, or buffers
+ *          whole songs in memory when clients read slowly
+ * Tests: Many concurrent listeners each reading whole songs (`Range: bytes=0-`)
+ *        over a throttled link, e.g. 16-64 KB/s like a poor mobile connection
+ *
+ * k6 reads responses as fast as the connection delivers them, so the throttle
+ * is a proxy in front of M3W (scripts/lib/throttle-proxy.cjs, started by
+ * `npm run test:full -- --slow-consumers`). The runner samples the proxy's
+ * open streams next to M3W memory and fits memory against them: with working
+ * backpressure each slow stream costs socket buffers, without it about one
+ * song.
+ *
+ * Usage:
+ *   npm run test:full -- --slow-consumers --consumer-kbps 16-64 --consumer-vus 200
+ *
+ *   # Standalone, through an already running proxy (no memory correlation)
+ *   k6 run k6/slow-consumer.js --env BASE_URL=http://localhost:4100 --env SLOW_CONSUMER_MIN_KBPS=16
+ */
+
+// Custom metrics
+const streamDuration = new Trend('slow_stream_duration', true);
+const streamRate = new Trend('slow_stream_kbps');
+const songBytes = new Trend('slow_stream_song_bytes');
+const streamBytes = new Counter('slow_stream_bytes');
+const streamErrors = new Rate('slow_stream_errors');
+
+// Long enough for the largest song at the slowest rate, plus a minute
+const streamTimeout = `${Math.ceil((slowConsumer.maxSongMB * 1024) / slowConsumer.minKbps) + 60}s`;
+
+export const options = {
+  scenarios: {
+    listeners: {
+      executor: 'ramping-vus',
+      stages: [
+        { duration: slowConsumer.rampUp, target: slowConsumer.vus },  // Streams pile up
+        { duration: slowConsumer.duration, target: slowConsumer.vus }, // Hold
+        { duration: '1m', target: 0 },                                // Recovery
+      ],
+      // Let running streams finish, they take minutes
+      gracefulRampDown: streamTimeout,
+      gracefulStop: streamTimeout,
+    },
+  },
+  thresholds: {
+    'slow_stream_errors': ['rate<0.01'],
+    ...perEndpointThresholds([endpointNames.stream]),
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+// Listener: read one whole song at the link's pace, then the next
+export default function () {
+  const user = currentUser();
+  const songId = pickSong(user.songIds);
+  if (!songId) {
+    console.error(`No songs for ${user.id}! Run seed first.`);
+    sleep(5);
+    return;
+  }
+  
+  const res = http.get(`${config.baseUrl}${endpoints.stream(songId)}`, {
+    headers: authHeaders(user, { 'Range': 'bytes=0-' }),
+    // Only the size matters, don't buffer the audio in the VU
+    responseType: 'none',
+    timeout: streamTimeout,
+    tags: { type: 'stream', name: endpointNames.stream },
+  });
+  
+  const ok = check(res, {
+    'slow stream ok': (r) => r.status === 200 || r.status === 206,
+  });
+  streamErrors.add(!ok);
+  if (ok) {
+    const bytes = parseInt(res.headers['Content-Length'] || '0');
+    streamDuration.add(res.timings.duration);
+    songBytes.add(bytes);
+    streamBytes.add(bytes);
+    if (res.timings.receiving > 0) {
+      streamRate.add(bytes / 1024 / (res.timings.receiving / 1000));
+    }
+  }
+  
+  sleep(1);
+}
+
+export function setup() {
+  console.log(`Starting slow-consumer test against ${config.baseUrl}`);
+  console.log(`Listeners: ${slowConsumer.vus} (ramp ${slowConsumer.rampUp}, hold ${slowConsumer.duration}) | Users: ${testUsers.length}`);
+  console.log(`Stream timeout: ${streamTimeout} (${slowConsumer.maxSongMB}MB at ${slowConsumer.minKbps}KB/s)`);
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Slow-consumer test completed in ${duration.toFixed(0)}s`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('slow-consumer', [endpointNames.stream]);
@@ -0,0 +1,74 @@
+import http from 'k6/http';
+import { config, thresholds, behavior, soak, testUsers } from './config.js';
+import { capacityEndpoints } from './capacity.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Soak Test
+ * 
+ * Purpose: Catch slow leaks in the M3W container
+ * Tests: Moderate, steady load (the capacity scenarios at a fixed VU count)
+ *        held for hours while the runner samples container resources
+ * 
+ * The runner (npm run test:soak) writes k6 points to a JSON output and fits
+ * trend lines to M3W memory and p95 latency over time; the run fails when
+ * either slope exceeds its limit.
+ * 
+ * Usage:
+ *   npm run test:soak
+ *   npm run test:soak -- --soak-duration 8h --soak-vus 100
+ * 
+ *   # Standalone (no trend analysis)
+ *   k6 run k6/soak.js --env SOAK_DURATION=2h --env SOAK_VUS=50
+ */
+
+// Same user behavior as the capacity test
+export { startup, listening, managing } from './capacity.js';
+
+// Split the steady VU count across the scenarios by behavior weight
+function soakScenarios() {
+  const scenarios = {};
+  for (const [name, weight] of Object.entries(behavior)) {
+    const vus = Math.round(soak.vus * weight);
+    if (vus > 0) {
+      scenarios[name] = {
+        executor: 'constant-vus',
+        exec: name,
+        vus,
+        duration: soak.duration,
+        tags: { phase: name },
+      };
+    }
+  }
+  return scenarios;
+}
+
+export const options = {
+  scenarios: soakScenarios(),
+  thresholds: {
+    ...thresholds,
+    ...perEndpointThresholds(capacityEndpoints),
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+export function setup() {
+  console.log(`Starting soak test against ${config.baseUrl}`);
+  console.log(`Duration: ${soak.duration} | VUs: ${soak.vus} | Users: ${testUsers.length}`);
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Soak test completed in ${(duration / 3600).toFixed(2)}h`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('soak', capacityEndpoints);
@@ -0,0 +1,126 @@
+import http from 'k6/http';
+import exec from 'k6/execution';
+import { config, thresholds, spike, testUsers } from './config.js';
+import { currentUser, authHeaders } from './lib/users.js';
+import { streamSong } from './lib/streaming.js';
+import { pickSong } from './lib/songs.js';
+import { startup, capacityEndpoints } from './capacity.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+
+/**
+ * Spike Test
+ * 
+ * Purpose: Model bursty arrivals (everyone opens the app at 8am)
+ * Tests: Sudden jumps from a low baseline to multiplier x load and back,
+ *        repeated several times
+ * 
+ * Every request is tagged with `spike` (1..count) and `spike_phase`
+ * (baseline, spike, recovery). The runner (npm run test:spike) uses those
+ * tags to measure, per spike, how long latency and error rate take to return
+ * to the pre-spike baseline and whether M3W memory returns to its pre-spike
+ * level.
+ * 
+ * Usage:
+ *   npm run test:spike
+ *   SPIKE_MULTIPLIER=20 SPIKE_COUNT=5 npm run test:spike
+ * 
+ *   # Standalone (no per-spike recovery analysis)
+ *   k6 run k6/spike.js
+ */
+
+/**
+ * Spike schedule as contiguous segments:
+ * [{ spike, phase, start, end, target, stage }] with offsets in seconds
+ */
+function spikeSchedule() {
+  const peak = spike.baseVUs * spike.multiplier;
+  const segments = [];
+  let offset = 0;
+  
+  const add = (spikeNumber, phase, seconds, target) => {
+    segments.push({
+      spike: spikeNumber,
+      phase,
+      start: offset,
+      end: offset + seconds,
+      stage: { duration: `${seconds}s`, target },
+    });
+    offset += seconds;
+  };
+  
+  for (let i = 1; i <= spike.count; i++) {
+    // The first baseline also ramps up from zero
+    if (i === 1) add(i, 'baseline', spike.rampSeconds, spike.baseVUs);
+    add(i, 'baseline', spike.baselineSeconds, spike.baseVUs);
+    add(i, 'spike', spike.rampSeconds, peak);
+    add(i, 'spike', spike.holdSeconds, peak);
+    add(i, 'spike', spike.rampSeconds, spike.baseVUs);
+    add(i, 'recovery', spike.recoverySeconds, spike.baseVUs);
+  }
+  add(spike.count, 'recovery', spike.rampSeconds, 0);
+  
+  return segments;
+}
+
+const schedule = spikeSchedule();
+
+export const options = {
+  scenarios: {
+    spike: {
+      executor: 'ramping-vus',
+      startVUs: 0,
+      stages: schedule.map((segment) => segment.stage),
+      gracefulRampDown: '10s',
+    },
+  },
+  thresholds: {
+    ...thresholds,
+    ...perEndpointThresholds(capacityEndpoints),
+  },
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+// Tag everything this VU sends with the spike segment it is in
+function tagSpikeSegment() {
+  const elapsed = (Date.now() - exec.scenario.startTime) / 1000;
+  const segment = schedule.find((s) => elapsed < s.end) || schedule[schedule.length - 1];
+  exec.vu.tags['spike'] = String(segment.spike);
+  exec.vu.tags['spike_phase'] = segment.phase;
+}
+
+// One app open: startup requests, then a short listen to the first song
+export default function() {
+  tagSpikeSegment();
+  startup();
+  
+  const user = currentUser();
+  const songId = pickSong(user.songIds);
+  if (songId) {
+    tagSpikeSegment();
+    streamSong(authHeaders(user), songId, { listenSeconds: spike.listenSeconds });
+  }
+}
+
+export function setup() {
+  const peak = spike.baseVUs * spike.multiplier;
+  const total = schedule[schedule.length - 1].end;
+  console.log(`Starting spike test against ${config.baseUrl}`);
+  console.log(`Spikes: ${spike.count} x ${spike.baseVUs} → ${peak} VUs (${total}s total)`);
+  console.log(`Users: ${testUsers.length}`);
+  
+  const res = http.get(`${config.baseUrl}/health`);
+  if (res.status !== 200) {
+    throw new Error(`Health check failed: ${res.status}`);
+  }
+  
+  return { startTime: Date.now() };
+}
+
+export function teardown(data) {
+  const duration = (Date.now() - data.startTime) / 1000;
+  console.log(`Spike test completed in ${duration}s`);
+}
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('spike', capacityEndpoints);
@@ -2,7 +2,16 @@ import http from 'k6/http';
 import { check, sleep } from 'k6';
 import { Rate, Trend, Counter } from 'k6/metrics';
 import { SharedArray } from 'k6/data';
-import { config, thresholds, endpoints } from './config.js';
+import { open as openFile, SeekMode } from 'k6/experimental/fs';
+import { config, thresholds, endpoints, endpointNames, testUsers } from './config.js';
+import { currentUser, currentUserIndex, authHeaders } from './lib/users.js';
+import { checkContract } from './lib/contracts.js';
+import { perEndpointThresholds } from './lib/endpoints.js';
+import { summaryHandler } from './lib/report.js';
+import { writeNonce, uniqueNonce, duplicateNonce } from './lib/nonce.js';
+import { metadataMismatches, logMismatches } from './lib/metadata.js';
+import { streamBack, compareStreamBack, logIntegrityFailure } from './lib/integrity.js';
+import { hostileCases, pickHostileCase, hostileUpload, logHostileOutcome } from './lib/hostile.js';
 
 /**
  * Upload Stress Test
@@ -19,6 +28,29 @@ import { config, thresholds, endpoints } from './config.js';
  * 
  *   # Run upload stress test (requires TEST_FILE_PATH env)
  *   k6 run k6/upload.js --env TEST_FILE_PATH=fixtures/large-100mb.bin
+ * 
+ *   # Weighted mix of file sizes (MB:weight), tagged by size_class
+ *   k6 run k6/upload.js --env UPLOAD_MIX=5:70,20:25,100:5
+ * 
+ *   # Real audio fixtures (generate-upload-files.cjs --format flac); the
+ *   # returned song's tags and duration are checked against the manifest
+ *   k6 run k6/upload.js --env UPLOAD_FORMAT=flac
+ * 
+ *   # Dedupe path: 30% of uploads repeat earlier content, half of those
+ *   # content another user uploaded (the rest: same user re-uploading)
+ *   k6 run k6/upload.js --env UPLOAD_DUPLICATE_RATIO=0.3 --env UPLOAD_DUPLICATE_CROSS_USER=0.5
+ * 
+ *   # Integrity: stream every uploaded song back and compare SHA-256 with
+ *   # the sent bytes (read-after-write latency in upload_read_after_write)
+ *   k6 run k6/upload.js --env UPLOAD_VERIFY=true
+ * 
+ *   # Hostile input: 20% of iterations send a malformed upload (zero-byte,
+ *   # truncated, bad ID3, non-audio, oversized, broken multipart, ...)
+ *   k6 run k6/upload.js --env UPLOAD_HOSTILE_RATIO=0.2
+ * 
+ *   # Slow uploaders through a throttling proxy (run-upload-test.cjs --throttle 64
+ *   # starts it): long ramp to many concurrent uploads, timeouts sized to the link
+ *   k6 run k6/upload.js --env BASE_URL=http://localhost:4100 --env UPLOAD_THROTTLE_KBPS=64
  */
 
 // Custom metrics
@@ -26,6 +58,15 @@ const uploadErrorRate = new Rate('upload_errors');
 const uploadDuration = new Trend('upload_duration', true);
 const uploadThroughput = new Trend('upload_throughput_mbps', true);
 const uploadCount = new Counter('upload_count');
+const metadataMismatch = new Rate('upload_metadata_mismatch');
+const duplicateConflicts = new Counter('upload_duplicate_conflicts');
+const integrityFailures = new Rate('upload_integrity_failures');
+const integrityErrors = new Counter('upload_integrity_errors');
+const readAfterWrite = new Trend('upload_read_after_write', true);
+const hostileMishandled = new Rate('upload_hostile_mishandled');
+const hostileServerErrors = new Counter('upload_hostile_server_errors');
+const hostileHangs = new Counter('upload_hostile_hangs');
+const hostileDuration = new Trend('upload_hostile_duration', true);
 
 // Configuration from environment
 const uploadConfig = {
@@ -35,8 +76,81 @@ const uploadConfig = {
   fileSizeBytes: parseInt(__ENV.FILE_SIZE_BYTES || '5242880'), // 5MB default
   // Number of file variants (to avoid deduplication)
   variantsCount: parseInt(__ENV.VARIANTS_COUNT || '10'),
+  // Weighted file-size mix "sizeMB:weight,..." (replaces TEST_FILE_BASE)
+  mix: __ENV.UPLOAD_MIX || '',
+  // Fixture format: synthetic (.bin) or mp3 / wav / flac / ogg
+  format: __ENV.UPLOAD_FORMAT || 'synthetic',
+  // Share of uploads that repeat earlier content (server dedupe path), 0..1
+  duplicateRatio: parseFloat(__ENV.UPLOAD_DUPLICATE_RATIO || '0'),
+  // Share of duplicates using content shared by all users; the rest is
+  // content only the uploading user repeats
+  crossUserShare: parseFloat(__ENV.UPLOAD_DUPLICATE_CROSS_USER || '0.5'),
+  // Distinct duplicate contents per size class (and per user for same-user)
+  duplicatePool: Math.max(1, parseInt(__ENV.UPLOAD_DUPLICATE_POOL || '3')),
+  // Per-connection KB/s of the throttling proxy in front of BASE_URL (0: none)
+  throttleKbps: parseFloat(__ENV.UPLOAD_THROTTLE_KBPS || '0'),
+  // Concurrent uploads the slow-uploader ramp ends at
+  slowVUs: parseInt(__ENV.UPLOAD_SLOW_VUS || '200'),
+  // Stream every upload back and compare its SHA-256 (integrity mode)
+  verify: __ENV.UPLOAD_VERIFY === 'true',
+  // Share of iterations sending a malformed upload instead, 0..1
+  hostileRatio: parseFloat(__ENV.UPLOAD_HOSTILE_RATIO || '0'),
+  // Size of the huge_tag_frame tag and of the oversized body (just above
+  // the server's upload limit, which takes the 100MB fixtures)
+  hostileSizes: {
+    tagMB: parseInt(__ENV.UPLOAD_HOSTILE_TAG_MB || '4'),
+    oversizedMB: parseInt(__ENV.UPLOAD_HOSTILE_OVERSIZED_MB || '128'),
+  },
+  // p95 the good uploads must keep next to the hostile ones (ms)
+  hostileValidP95Ms: parseInt(__ENV.UPLOAD_HOSTILE_VALID_P95_MS || '10000'),
+};
+
+const dedupeMode = uploadConfig.duplicateRatio > 0;
+const hostileMode = uploadConfig.hostileRatio > 0;
+
+// Owner of cross-user duplicate content (same-user content is owned by the user)
+const SHARED_OWNER = 0xffffffff;
+
+// A same-user duplicate may be refused as already in the library
+const duplicateStatuses = http.expectedStatuses(200, 201, 409);
+
+const realAudio = uploadConfig.format !== 'synthetic';
+const extension = realAudio ? uploadConfig.format : 'bin';
+
+// Fixtures written by generate-upload-files.cjs, per size in MB
+const fixtureBases = {
+  5: 'fixtures/small-5mb',
+  20: 'fixtures/medium-20mb',
+  50: 'fixtures/large-50mb',
+  100: 'fixtures/xlarge-100mb',
 };
 
+function parseMix(mix) {
+  return mix.split(',').map((entry) => {
+    const [sizeMB, weight] = entry.split(':').map((value) => parseFloat(value));
+    if (!fixtureBases[sizeMB] || !(weight > 0)) {
+      throw new Error(`Invalid UPLOAD_MIX entry "${entry}" (sizes: ${Object.keys(fixtureBases).join(', ')}MB, weight > 0)`);
+    }
+    return { sizeClass: `${sizeMB}mb`, base: fixtureBases[sizeMB], weight };
+  });
+}
+
+// Size classes uploaded in this run; without UPLOAD_MIX a single class
+const sizeClasses = uploadConfig.mix
+  ? parseMix(uploadConfig.mix)
+  : [{
+    sizeClass: `${Math.round(uploadConfig.fileSizeBytes / 1024 / 1024)}mb`,
+    base: uploadConfig.testFileBase,
+    weight: 1,
+  }];
+const totalWeight = sizeClasses.reduce((sum, c) => sum + c.weight, 0);
+
+// Real-format fixtures come with a manifest (MIME type, nonce offset)
+for (const sizeClass of sizeClasses) {
+  sizeClass.fileName = `${sizeClass.base}-0.${extension}`;
+  sizeClass.manifest = realAudio ? JSON.parse(open(`../${sizeClass.fileName}.json`)) : null;
+}
+
 // Upload test stages - designed for memory stress testing
 const defaultStages = [
   { duration: '30s', target: 1 },   // Single upload warm-up
@@ -55,50 +169,159 @@ const benchmarkStages = [
   { duration: '30s', target: 0 },       // Ramp down
 ];
 
-export const uploadStages = benchmarkMode ? benchmarkStages : defaultStages;
+// Slow uploaders: each upload holds its connection for minutes, so ramp
+// slowly and far enough to find where the server runs out of memory or
+// connections
+const slowMode = uploadConfig.throttleKbps > 0;
+const slowStages = [
+  { duration: '10m', target: uploadConfig.slowVUs },  // Slow ramp
+  { duration: '3m', target: uploadConfig.slowVUs },   // Hold
+  { duration: '2m', target: 0 },                      // Recovery
+];
+
+export const uploadStages = slowMode ? slowStages : benchmarkMode ? benchmarkStages : defaultStages;
 
 // Upload-specific thresholds
-export const uploadThresholds = {
-  // Upload should complete (generous timeout for large files)
-  'http_req_duration{type:upload}': ['p(95)<120000'], // 2 min
-  // Error rate
-  'upload_errors': ['rate<0.05'], // Allow 5% for stress test
-  // Throughput should be reasonable (> 1 Mbps)
-  'upload_throughput_mbps': ['avg>1'],
-};
+export const uploadThresholds = slowMode
+  ? {
+    // Duration and throughput are set by the proxy; only failures count
+    'upload_errors': ['rate<0.05'],
+  }
+  : {
+    // Upload should complete (generous timeout for large files)
+    'http_req_duration{type:upload}': ['p(95)<120000'], // 2 min
+    // Error rate
+    'upload_errors': ['rate<0.05'], // Allow 5% for stress test
+    // Throughput should be reasonable (> 1 Mbps)
+    'upload_throughput_mbps': ['avg>1'],
+  };
+
+// Real audio has known tags: every upload must round-trip them
+const metadataThresholds = realAudio
+  ? { 'upload_metadata_mismatch': ['rate==0'] }
+  : {};
+
+// Integrity mode: every stream-back must match the sent bytes
+const integrityThresholds = uploadConfig.verify
+  ? { 'upload_integrity_failures': ['rate==0'] }
+  : {};
+
+// Hostile mode: every case answered as expected, never with 5xx or a hang,
+// and the good uploads in between (tagged input:valid) unharmed
+const hostileThresholds = {};
+if (hostileMode) {
+  hostileThresholds['upload_hostile_server_errors'] = ['count==0'];
+  hostileThresholds['upload_hostile_hangs'] = ['count==0'];
+  hostileThresholds['upload_errors{input:valid}'] = ['rate<0.01'];
+  hostileThresholds['upload_duration{input:valid}'] = [`p(95)<${uploadConfig.hostileValidP95Ms}`];
+  for (const { name } of hostileCases) {
+    hostileThresholds[`upload_hostile_mishandled{case:${name}}`] = ['rate==0'];
+    hostileThresholds[`upload_hostile_duration{case:${name}}`] = ['max>=0'];
+  }
+}
+
+// Pass-through thresholds so every size class gets its own summary rows
+// (and, in dedupe mode, every kind of content)
+const sizeClassThresholds = {};
+if (dedupeMode) {
+  for (const content of ['unique', 'same_user', 'cross_user']) {
+    sizeClassThresholds[`upload_duration{content:${content}}`] = ['max>=0'];
+  }
+}
+for (const { sizeClass } of sizeClasses) {
+  if (uploadConfig.verify) {
+    sizeClassThresholds[`upload_read_after_write{size_class:${sizeClass}}`] = ['max>=0'];
+  }
+  sizeClassThresholds[`upload_duration{size_class:${sizeClass}}`] = ['max>=0'];
+  sizeClassThresholds[`upload_throughput_mbps{size_class:${sizeClass}}`] = ['max>=0'];
+  sizeClassThresholds[`upload_errors{size_class:${sizeClass}}`] = ['rate>=0'];
+}
+
+// Endpoints this test calls (rows of the end-of-run breakdown)
+const uploadEndpoints = [
+  endpointNames.upload,
+  endpointNames.deleteSong,
+  endpointNames.me,
+  endpointNames.library,
+  ...(hostileMode ? [endpointNames.hostileUpload] : []),
+];
 
 export const options = {
   stages: uploadStages,
-  thresholds: uploadThresholds,
+  thresholds: {
+    ...uploadThresholds,
+    ...metadataThresholds,
+    ...integrityThresholds,
+    ...hostileThresholds,
+    ...sizeClassThresholds,
+    ...perEndpointThresholds(uploadEndpoints),
+  },
   // Don't abort on failed thresholds during stress test
-  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)'],
+  summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
 };
 
-// Load only ONE base file - modify bytes at runtime to create unique hashes
-// This keeps memory usage minimal (~5MB) regardless of iteration count
-const baseFilePath = `../${uploadConfig.testFileBase}-0.bin`;
-const baseFileData = open(baseFilePath, 'b');
+// Load only ONE base file per size class - modify bytes at runtime to create
+// unique hashes. k6/experimental/fs keeps a single copy of each file for all
+// VUs (open() would copy every file into every VU); a VU reads a size class
+// into its own buffer once and reuses it (baseFile()).
+(async function() {
+  for (const sizeClass of sizeClasses) {
+    sizeClass.file = await openFile(`../${sizeClass.fileName}`);
+    sizeClass.bytes = (await sizeClass.file.stat()).size;
+  }
+})();
 
-// Request headers with auth
-function getHeaders() {
-  return {
-    'Authorization': `Bearer ${config.testUserToken}`,
-  };
+function pickSizeClass() {
+  let r = Math.random() * totalWeight;
+  for (const sizeClass of sizeClasses) {
+    r -= sizeClass.weight;
+    if (r < 0) return sizeClass;
+  }
+  return sizeClasses[0];
+}
+
+// Read a size class's base file into a fresh buffer
+async function readBaseFile(sizeClass) {
+  const data = new Uint8Array(sizeClass.bytes);
+  await sizeClass.file.seek(0, SeekMode.Start);
+  const bytesRead = await sizeClass.file.read(data);
+  if (bytesRead !== sizeClass.bytes) {
+    throw new Error(`Short read of ${sizeClass.fileName}: ${bytesRead}/${sizeClass.bytes} bytes`);
+  }
+  return data;
+}
+
+// This VU's buffer per size class, read on first use. Uploads run one after
+// another in a VU, so each one overwrites only the nonce bytes in place.
+const baseFiles = {};
+
+async function baseFile(sizeClass) {
+  if (!baseFiles[sizeClass.fileName]) {
+    baseFiles[sizeClass.fileName] = await readBaseFile(sizeClass);
+  }
+  return baseFiles[sizeClass.fileName];
+}
+
+// Request timeout: 3 min, or (slow uploaders) 1.5x the transfer time at the
+// throttled rate plus a minute for the server to finish
+function uploadTimeout(sizeClass) {
+  if (!slowMode) return '180s';
+  const transferSeconds = sizeClass.bytes / (uploadConfig.throttleKbps * 1024);
+  return `${Math.ceil(transferSeconds * 1.5) + 60}s`;
+}
+
+// Request headers with auth for this VU's user
+function getHeaders(user) {
+  return authHeaders(user);
 }
 
 /**
- * Create unique file data by modifying bytes in the base file
+ * Create unique file data by modifying bytes in this VU's copy of the base file
  * Modifies bytes after ID3 header to change hash while keeping valid MP3 structure
  */
-function createUniqueFileData(vu, iter) {
-  // Convert ArrayBuffer to Uint8Array for modification
-  const data = new Uint8Array(baseFileData);
-  const uniqueData = new Uint8Array(data.length);
-  uniqueData.set(data);
-  
+function createUniqueFileData(uniqueData, vu, iter, timestamp = Date.now()) {
   // Modify bytes at offset 100-116 (after ID3 header, in audio data)
   // This changes the file hash while keeping MP3 structure valid
-  const timestamp = Date.now();
   const offset = 100;
   
   // Write VU number (4 bytes)
@@ -126,33 +349,126 @@ function createUniqueFileData(vu, iter) {
   return uniqueData.buffer;
 }
 
+/**
+ * What to upload this iteration: fresh content, or (dedupe mode) one of a
+ * few fixed contents - either this user's own or one shared by all users
+ */
+function pickContent() {
+  if (!dedupeMode || Math.random() >= uploadConfig.duplicateRatio) {
+    return { content: 'unique' };
+  }
+  
+  const slot = Math.floor(Math.random() * uploadConfig.duplicatePool);
+  if (Math.random() < uploadConfig.crossUserShare) {
+    return { content: 'cross_user', owner: SHARED_OWNER, slot };
+  }
+  // SharedArray hands out copies, so the user object can't be looked up
+  return { content: 'same_user', owner: currentUserIndex(), slot };
+}
+
+/**
+ * Bytes to upload: the base file with a per-upload nonce, or with the fixed
+ * nonce of a duplicate content
+ */
+function createFileData(baseData, sizeClass, pick) {
+  const duplicate = pick.content !== 'unique';
+  
+  // Real audio gets its nonce in the tags so the file stays decodable
+  if (sizeClass.manifest) {
+    const nonce = duplicate ? duplicateNonce(pick.owner, pick.slot) : uniqueNonce(__VU, __ITER);
+    return writeNonce(baseData, sizeClass.manifest, nonce).buffer;
+  }
+  return duplicate
+    ? createUniqueFileData(baseData, pick.owner, pick.slot, 0)
+    : createUniqueFileData(baseData, __VU, __ITER);
+}
+
 /**
  * Generate multipart form data for file upload
  */
-function createUploadBody(fileData, filename) {
+function createUploadBody(fileData, filename, mimeType) {
   return {
-    file: http.file(fileData, filename, 'audio/mpeg'),
+    file: http.file(fileData, filename, mimeType),
   };
 }
 
+/**
+ * Hostile mode iteration: one malformed upload. Whatever the server
+ * accepted (a 2xx, expected or not) is deleted again.
+ */
+function hostileIteration(headers, libraryId) {
+  const hostileCase = pickHostileCase();
+  const tags = { case: hostileCase.name };
+  const { res, outcome } = hostileUpload(
+    `${config.baseUrl}${endpoints.songs(libraryId)}`,
+    headers,
+    hostileCase,
+    uploadConfig.hostileSizes,
+    { type: 'hostile_upload', name: endpointNames.hostileUpload, ...tags }
+  );
+  
+  hostileMishandled.add(outcome !== 'handled', tags);
+  hostileServerErrors.add(outcome === 'server_error' ? 1 : 0, tags);
+  hostileHangs.add(outcome === 'hang' ? 1 : 0, tags);
+  hostileDuration.add(res.timings.duration, tags);
+  check(res, {
+    [`hostile ${hostileCase.name} handled`]: () => outcome === 'handled',
+  }, tags);
+  if (outcome !== 'handled') {
+    logHostileOutcome(hostileCase, res, outcome);
+  }
+  
+  if (res.status === 200 || res.status === 201) {
+    let songId = null;
+    try {
+      songId = JSON.parse(res.body).data.song.id;
+    } catch {
+      console.warn(`Hostile ${hostileCase.name} accepted without a song id: ${String(res.body).slice(0, 200)}`);
+    }
+    if (songId) {
+      http.del(`${config.baseUrl}/api/songs/${songId}?libraryId=${libraryId}`, null, {
+        headers,
+        tags: { type: 'delete', name: endpointNames.deleteSong },
+      });
+    }
+  }
+}
+
 /**
  * Main upload test function
  */
-export default function() {
-  const headers = getHeaders();
-  const libraryId = config.testLibraryId;
+export default async function() {
+  const user = currentUser();
+  const headers = getHeaders(user);
+  const libraryId = user.libraryId;
   
   if (!libraryId) {
-    console.error('TEST_LIBRARY_ID not set! Run seed first.');
+    console.error(`No library for ${user.id}! Run seed first.`);
+    return;
+  }
+  
+  // Hostile mode: some iterations send malformed input, interleaved with
+  // the normal uploads below
+  if (hostileMode && Math.random() < uploadConfig.hostileRatio) {
+    hostileIteration(headers, libraryId);
+    sleep(Math.random() * 2 + 1);
     return;
   }
   
   // Create unique file content for each request by modifying base file bytes
   // This ensures each upload has a different hash without loading multiple files
-  const uniqueFileData = createUniqueFileData(__VU, __ITER);
+  // (in dedupe mode some uploads repeat a fixed content on purpose)
+  const sizeClass = pickSizeClass();
+  const pick = pickContent();
+  const duplicate = pick.content !== 'unique';
+  const tags = { size_class: sizeClass.sizeClass };
+  if (dedupeMode) tags.content = pick.content;
+  if (hostileMode) tags.input = 'valid';
+  const uniqueFileData = createFileData(await baseFile(sizeClass), sizeClass, pick);
+  const mimeType = sizeClass.manifest ? sizeClass.manifest.mimeType : 'audio/mpeg';
   
   // Generate unique filename for each upload (for logging only, server uses content hash)
-  const filename = `upload-${__VU}-${__ITER}-${Date.now()}.mp3`;
+  const filename = `upload-${__VU}-${__ITER}-${Date.now()}.${realAudio ? extension : 'mp3'}`;
   
   // Upload file
   const startTime = Date.now();
@@ -160,49 +476,75 @@ export default function() {
   
   const response = http.post(
     uploadUrl,
-    createUploadBody(uniqueFileData, filename),
+    createUploadBody(uniqueFileData, filename, mimeType),
     {
       headers,
-      tags: { type: 'upload' },
-      timeout: '180s', // 3 min timeout for large files
+      tags: { type: 'upload', name: endpointNames.upload, ...tags },
+      timeout: uploadTimeout(sizeClass),
+      ...(duplicate ? { responseCallback: duplicateStatuses } : {}),
     }
   );
   
   const duration = Date.now() - startTime;
-  const throughputMbps = (uploadConfig.fileSizeBytes / 1024 / 1024) / (duration / 1000);
+  const throughputMbps = (sizeClass.bytes / 1024 / 1024) / (duration / 1000);
   
   // Record metrics
-  uploadDuration.add(duration);
-  uploadThroughput.add(throughputMbps);
-  uploadCount.add(1);
+  uploadDuration.add(duration, tags);
+  uploadThroughput.add(throughputMbps, tags);
+  uploadCount.add(1, tags);
   
-  // Check response
-  let songId = null;
-  const uploadOk = check(response, {
+  // Check response: { success: true, data: { song: { id: ... } } }
+  const uploaded = checkContract(response, 'upload');
+  const songId = uploaded ? uploaded.song.id : null;
+  // Same content already in this user's library: refusing it is fine too
+  const conflict = pick.content === 'same_user' && response.status === 409;
+  if (conflict) duplicateConflicts.add(1, tags);
+  const uploadOk = conflict || check(response, {
     'upload status ok': (r) => r.status === 200 || r.status === 201,
-    'upload has song id': (r) => {
-      try {
-        const body = JSON.parse(r.body);
-        // Response: { success: true, data: { song: { id: ... } } }
-        if (body.success && body.data && body.data.song && body.data.song.id) {
-          songId = body.data.song.id;
-          return true;
-        }
-        return false;
-      } catch {
-        return false;
-      }
-    },
-  });
+    'upload has song id': () => songId !== null,
+  }, tags);
+  
+  uploadErrorRate.add(!uploadOk, tags);
+  
+  // Tags and duration the parser extracted must match what the fixture carries
+  if (songId && sizeClass.manifest) {
+    const mismatches = metadataMismatches(uploaded.song, sizeClass.manifest);
+    metadataMismatch.add(mismatches.length > 0, tags);
+    check(uploaded.song, {
+      'upload metadata matches': () => mismatches.length === 0,
+    }, tags);
+    if (mismatches.length > 0) {
+      logMismatches(uploaded.song, sizeClass.fileName, mismatches);
+    }
+  }
   
-  uploadErrorRate.add(!uploadOk);
-    // Delete the song immediately after successful upload
-  // This allows the same file to be uploaded again for higher concurrency tests
-  if (songId) {
+  // Integrity mode: what is stored must be byte-for-byte what was sent
+  if (songId && uploadConfig.verify) {
+    const { res, readAfterWriteMs } = streamBack(songId, headers, startTime + duration, uploadTimeout(sizeClass));
+    const result = compareStreamBack(res, uniqueFileData);
+    const intact = result.kind === 'ok';
+    integrityFailures.add(!intact, tags);
+    if (res.status === 200 || res.status === 206) {
+      readAfterWrite.add(readAfterWriteMs, tags);
+    }
+    check(res, {
+      'upload stream-back matches': () => intact,
+    }, tags);
+    if (!intact) {
+      integrityErrors.add(1, { ...tags, kind: result.kind });
+      logIntegrityFailure(songId, filename, res.status, result);
+    }
+  }
+  
+  // Delete the song immediately after successful upload
+  // This allows the same file to be uploaded again for higher concurrency tests.
+  // Duplicates stay, so later copies of their content still hit the dedupe
+  // path and the runner can check the shared `files` rows afterwards.
+  if (songId && !duplicate) {
     const deleteRes = http.del(
       `${config.baseUrl}/api/songs/${songId}?libraryId=${libraryId}`,
       null,
-      { headers, tags: { type: 'delete' } }
+      { headers, tags: { type: 'delete', name: endpointNames.deleteSong } }
     );
     if (deleteRes.status !== 200 && deleteRes.status !== 204) {
       console.log(`Delete failed: ${deleteRes.status} - ${deleteRes.body}`);
@@ -221,29 +563,52 @@ export default function() {
  */
 export function setup() {
   console.log('=== Upload Stress Test Configuration ===');
+  const user = currentUser();
+  
   console.log(`Base URL: ${config.baseUrl}`);
-  console.log(`Library ID: ${config.testLibraryId}`);
-  console.log(`Test file: ${uploadConfig.testFilePath}`);
-  console.log(`File size: ${(uploadConfig.fileSizeBytes / 1024 / 1024).toFixed(2)} MB`);
+  console.log(`Users: ${testUsers.length} (primary library: ${user.libraryId})`);
+  console.log(`Format: ${uploadConfig.format}`);
+  if (uploadConfig.verify) {
+    console.log('Integrity: every upload streamed back and compared (SHA-256)');
+  }
+  if (hostileMode) {
+    const { tagMB, oversizedMB } = uploadConfig.hostileSizes;
+    console.log(`Hostile input: ${(uploadConfig.hostileRatio * 100).toFixed(0)}% of iterations, ${hostileCases.length} cases (tag ${tagMB}MB, oversized ${oversizedMB}MB)`);
+  }
+  if (slowMode) {
+    console.log(`Slow uploaders: ${uploadConfig.throttleKbps}KB/s per connection, ramping to ${uploadConfig.slowVUs} VUs`);
+  }
+  if (dedupeMode) {
+    console.log(`Duplicates: ${(uploadConfig.duplicateRatio * 100).toFixed(0)}% of uploads, ${(uploadConfig.crossUserShare * 100).toFixed(0)}% of them cross-user (pool ${uploadConfig.duplicatePool})`);
+  }
+  for (const { sizeClass, fileName, manifest, weight } of sizeClasses) {
+    const cover = manifest && manifest.cover
+      ? `, ${Math.round(manifest.cover.sizeBytes / 1024)}KB ${manifest.cover.mimeType} cover`
+      : '';
+    const detail = manifest ? `, ${manifest.durationSeconds.toFixed(0)}s ${manifest.mimeType}${cover}` : '';
+    console.log(`Size class ${sizeClass}: ${fileName} (${((weight / totalWeight) * 100).toFixed(0)}%${detail})`);
+  }
   console.log(`Stages: ${uploadStages.length}`);
   console.log('========================================');
   
   // Verify auth
   const authRes = http.get(`${config.baseUrl}/api/auth/me`, {
-    headers: getHeaders(),
+    headers: getHeaders(user),
+    tags: { name: endpointNames.me },
   });
   
   if (authRes.status !== 200) {
-    throw new Error(`Auth failed: ${authRes.status}. Check TEST_USER_TOKEN.`);
+    throw new Error(`Auth failed: ${authRes.status}. Check TEST_USER_TOKEN / TEST_USERS_FILE.`);
   }
   
   // Verify library access
-  const libRes = http.get(`${config.baseUrl}/api/libraries/${config.testLibraryId}`, {
-    headers: getHeaders(),
+  const libRes = http.get(`${config.baseUrl}/api/libraries/${user.libraryId}`, {
+    headers: getHeaders(user),
+    tags: { name: endpointNames.library },
   });
   
   if (libRes.status !== 200) {
-    throw new Error(`Library access failed: ${libRes.status}. Check TEST_LIBRARY_ID.`);
+    throw new Error(`Library access failed: ${libRes.status}. Check TEST_LIBRARY_ID / TEST_USERS_FILE.`);
   }
   
   return { startTime: Date.now() };
@@ -258,3 +623,6 @@ export function teardown(data) {
   console.log(`Total duration: ${totalTime.toFixed(0)} seconds`);
   console.log('===================================');
 }
+
+// End-of-run summary, JSON and HTML report (see lib/report.js)
+export const handleSummary = summaryHandler('upload', uploadEndpoints);
@@ -7,14 +7,23 @@
  * Test matrix:
  * - File sizes: 5MB, 20MB, 50MB
  * - Concurrency: 5, 10, 20 VUs
+ * - With --cover-size: every cell twice, tag-only and with embedded artwork,
+ *   to report what artwork handling costs in CPU and memory
  * 
  * Usage:
  *   node scripts/benchmark-upload.cjs
+ *   node scripts/benchmark-upload.cjs --junit <file>  # JUnit XML path (default: results/junit.xml)
+ *   node scripts/benchmark-upload.cjs --format flac   # Real audio (mp3/wav/flac/ogg) instead of synthetic .bin
+ *   node scripts/benchmark-upload.cjs --format mp3 --cover-size 5120  # Artwork vs tag-only (--cover-format jpeg|png)
  */
 
 const { execSync, spawn } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { createRunDir, writeResourceReport } = require('./lib/report.cjs');
+const { createJUnitReport } = require('./lib/junit.cjs');
+const { FORMATS } = require('./lib/audio.cjs');
+const { COVER_FORMATS } = require('./lib/cover.cjs');
 
 const PROJECT_ROOT = path.join(__dirname, '..');
 
@@ -25,9 +34,47 @@ const CONCURRENCY_LEVELS = [5, 10, 20]; // VUs
 // Shorter test duration for benchmark (2 min per test)
 const TEST_DURATION = '2m';
 
+// Fixture format: synthetic .bin files or real audio (see generate-upload-files.cjs)
+const formatIdx = process.argv.indexOf('--format');
+const UPLOAD_FORMAT = formatIdx !== -1 && process.argv[formatIdx + 1] ? process.argv[formatIdx + 1] : 'synthetic';
+if (UPLOAD_FORMAT !== 'synthetic' && !FORMATS[UPLOAD_FORMAT]) {
+  console.error(`❌ Unknown --format: ${UPLOAD_FORMAT} (available: synthetic, ${Object.keys(FORMATS).join(', ')})`);
+  process.exit(1);
+}
+
+// Cover art compared against tag-only files (real formats only)
+const coverSizeIdx = process.argv.indexOf('--cover-size');
+const coverFormatIdx = process.argv.indexOf('--cover-format');
+const COVER = coverSizeIdx !== -1 && process.argv[coverSizeIdx + 1]
+  ? {
+    sizeKB: parseInt(process.argv[coverSizeIdx + 1]),
+    format: coverFormatIdx !== -1 && process.argv[coverFormatIdx + 1] ? process.argv[coverFormatIdx + 1] : 'jpeg',
+  }
+  : null;
+if (COVER && (UPLOAD_FORMAT === 'synthetic' || !COVER_FORMATS[COVER.format])) {
+  console.error(`❌ --cover-size needs a real --format and --cover-format ${Object.keys(COVER_FORMATS).join('|')}`);
+  process.exit(1);
+}
+const ARTWORK_VARIANTS = COVER ? [null, COVER] : [null];
+
+function artworkLabel(cover) {
+  return cover ? `${cover.sizeKB}KB ${cover.format}` : 'none';
+}
+
 // Results storage
 const results = [];
 
+// Run directory for this benchmark; each test gets a subdirectory with its report
+let benchmarkDir = null;
+
+// Runner steps plus thresholds and checks of every test in the matrix
+const junit = createJUnitReport('benchmark');
+const junitIdx = process.argv.indexOf('--junit');
+const JUNIT_FILE = path.resolve(
+  PROJECT_ROOT,
+  junitIdx !== -1 && process.argv[junitIdx + 1] ? process.argv[junitIdx + 1] : path.join('results', 'junit.xml')
+);
+
 // Detect container runtime
 function detectRuntime() {
   try {
@@ -111,10 +158,16 @@ async function clearDatabase() {
   }
 }
 
-async function generateTestFile(sizeMB) {
-  console.log(`\n📦 Generating ${sizeMB}MB test file...`);
+async function generateTestFile(sizeMB, cover) {
+  console.log(`\n📦 Generating ${sizeMB}MB test file (cover: ${artworkLabel(cover)})...`);
   const seed = Date.now().toString();
-  await run('node', ['scripts/generate-upload-files.cjs', '--size', String(sizeMB), `--seed=${seed}`]);
+  await run('node', [
+    'scripts/generate-upload-files.cjs',
+    '--size', String(sizeMB),
+    '--format', UPLOAD_FORMAT,
+    ...(cover ? ['--cover-size', String(cover.sizeKB), '--cover-format', cover.format] : []),
+    `--seed=${seed}`,
+  ]);
 }
 
 function findK6() {
@@ -133,8 +186,10 @@ function findK6() {
   return null;
 }
 
-async function runUploadTest(sizeMB, maxVUs) {
-  console.log(`\n🔥 Testing: ${sizeMB}MB file, ${maxVUs} VUs`);
+async function runUploadTest(sizeMB, maxVUs, cover) {
+  const artwork = artworkLabel(cover);
+  const testName = `${sizeMB}mb-${maxVUs}vus${cover ? '-cover' : ''}`;
+  console.log(`\n🔥 Testing: ${sizeMB}MB file, ${maxVUs} VUs, cover: ${artwork}`);
   
   const k6 = findK6();
   if (!k6) throw new Error('k6 not found');
@@ -194,49 +249,57 @@ export const maxVUs = ${maxVUs};
           else if (unit.startsWith('M')) memMB = val;
           else if (unit.startsWith('K')) memMB = val / 1024;
         }
-        containers[shortName] = { cpu: cpuVal, mem: memMB };
+        containers[shortName] = { cpu: cpuVal, memMB };
       }
       
       samples.push({ timestamp, containers });
     } catch {}
   }, 2000);
   
+  const testDir = path.join(benchmarkDir, testName);
+  fs.mkdirSync(testDir, { recursive: true });
+  
   // Run k6 with auth env vars
   const k6Args = [
     'run', 'k6/upload.js',
     '--env', `TEST_FILE_BASE=fixtures/${fileBase}`,
     '--env', `FILE_SIZE_BYTES=${fileSizeBytes}`,
     '--env', 'VARIANTS_COUNT=1',
+    '--env', `UPLOAD_FORMAT=${UPLOAD_FORMAT}`,
     '--env', `BENCHMARK_MODE=true`,
     '--env', `MAX_VUS=${maxVUs}`,
     '--env', `BASE_URL=${env.BASE_URL || 'http://localhost:4000'}`,
     '--env', `TEST_USER_TOKEN=${env.TEST_USER_TOKEN}`,
     '--env', `TEST_LIBRARY_ID=${env.TEST_LIBRARY_ID}`,
+    '--env', `RESULTS_DIR="${testDir}"`,
   ];
   
   let testSuccess = true;
   try {
-    await run(`"${k6}"`, k6Args);
+    await junit.step(`k6 ${sizeMB}MB x ${maxVUs} VUs${cover ? ` (cover ${artwork})` : ''}`, () => run(`"${k6}"`, k6Args));
   } catch (e) {
     console.warn('   ⚠️ k6 exited with error');
     testSuccess = false;
   }
   
   clearInterval(monitorInterval);
+  writeResourceReport(testDir, samples);
+  junit.addSummary(path.join(testDir, 'summary.json'), `upload ${testName}`);
   
   // Analyze results
   const m3wSamples = samples.map(s => s.containers.m3w).filter(Boolean);
   const analysis = {
     sizeMB,
     maxVUs,
+    artwork,
     testSuccess,
     samples: samples.length,
     m3w: {
       cpuAvg: m3wSamples.length ? (m3wSamples.reduce((a, b) => a + b.cpu, 0) / m3wSamples.length).toFixed(1) : 0,
       cpuMax: m3wSamples.length ? Math.max(...m3wSamples.map(s => s.cpu)).toFixed(1) : 0,
-      memAvg: m3wSamples.length ? Math.round(m3wSamples.reduce((a, b) => a + b.mem, 0) / m3wSamples.length) : 0,
-      memMax: m3wSamples.length ? Math.round(Math.max(...m3wSamples.map(s => s.mem))) : 0,
-      memMin: m3wSamples.length ? Math.round(Math.min(...m3wSamples.map(s => s.mem))) : 0,
+      memAvg: m3wSamples.length ? Math.round(m3wSamples.reduce((a, b) => a + b.memMB, 0) / m3wSamples.length) : 0,
+      memMax: m3wSamples.length ? Math.round(Math.max(...m3wSamples.map(s => s.memMB))) : 0,
+      memMin: m3wSamples.length ? Math.round(Math.min(...m3wSamples.map(s => s.memMB))) : 0,
     },
   };
   
@@ -246,7 +309,7 @@ export const maxVUs = ${maxVUs};
   console.log(`   Mem: avg=${analysis.m3w.memAvg}MB max=${analysis.m3w.memMax}MB`);
   
   // Clean database for next test
-  await clearDatabase();
+  await junit.step(`clear database after ${testName}`, clearDatabase);
   
   return analysis;
 }
@@ -266,18 +329,20 @@ async function printResults() {
     console.log(
       `│ ${String(r.sizeMB).padStart(5)}MB │ ${String(r.maxVUs).padStart(5)} │ ` +
       `${r.m3w.cpuAvg.toString().padStart(5)}% / ${r.m3w.cpuMax.toString().padStart(5)}% │ ` +
-      `${String(r.m3w.memAvg).padStart(5)}MB / ${String(r.m3w.memMax).padStart(5)}MB │ ${status}`
+      `${String(r.m3w.memAvg).padStart(5)}MB / ${String(r.m3w.memMax).padStart(5)}MB │ ${status}` +
+      (COVER ? ` cover: ${r.artwork}` : '')
     );
   }
   
   console.log('└──────────┴───────┴────────────────────┴────────────────────┘');
   
-  // Analysis: scaling characteristics
+  // Analysis: scaling characteristics (tag-only runs)
   console.log('\n📈 SCALING ANALYSIS:');
+  const tagOnly = results.filter(r => r.artwork === 'none');
   
   // Group by file size
   for (const size of FILE_SIZES) {
-    const sizeResults = results.filter(r => r.sizeMB === size);
+    const sizeResults = tagOnly.filter(r => r.sizeMB === size);
     if (sizeResults.length < 2) continue;
     
     // Calculate memory slope per VU
@@ -295,7 +360,7 @@ async function printResults() {
   
   // Group by concurrency
   for (const vus of CONCURRENCY_LEVELS) {
-    const vuResults = results.filter(r => r.maxVUs === vus);
+    const vuResults = tagOnly.filter(r => r.maxVUs === vus);
     if (vuResults.length < 2) continue;
     
     const sorted = vuResults.sort((a, b) => a.sizeMB - b.sizeMB);
@@ -308,10 +373,36 @@ async function printResults() {
     console.log(`   Memory slope: ${(memDiff / sizeDiff).toFixed(1)}MB per MB file size`);
   }
   
+  // Artwork cost: same cell with and without the cover
+  const artworkCost = [];
+  if (COVER) {
+    console.log(`\n🖼️  ARTWORK COST (${artworkLabel(COVER)} cover vs tag-only):`);
+    for (const withCover of results.filter(r => r.artwork !== 'none')) {
+      const baseline = tagOnly.find(r => r.sizeMB === withCover.sizeMB && r.maxVUs === withCover.maxVUs);
+      if (!baseline) continue;
+      
+      const cost = {
+        sizeMB: withCover.sizeMB,
+        maxVUs: withCover.maxVUs,
+        cpuAvg: parseFloat(withCover.m3w.cpuAvg) - parseFloat(baseline.m3w.cpuAvg),
+        cpuMax: parseFloat(withCover.m3w.cpuMax) - parseFloat(baseline.m3w.cpuMax),
+        memAvg: withCover.m3w.memAvg - baseline.m3w.memAvg,
+        memMax: withCover.m3w.memMax - baseline.m3w.memMax,
+      };
+      artworkCost.push(cost);
+      
+      const signed = (value, digits = 0) => `${value >= 0 ? '+' : ''}${value.toFixed(digits)}`;
+      console.log(
+        `   ${String(cost.sizeMB).padStart(3)}MB x ${String(cost.maxVUs).padStart(2)} VUs: ` +
+        `CPU ${signed(cost.cpuAvg, 1)}% avg / ${signed(cost.cpuMax, 1)}% max, ` +
+        `Mem ${signed(cost.memAvg)}MB avg / ${signed(cost.memMax)}MB max`
+      );
+    }
+  }
+  
   // Save results
-  const resultsFile = path.join(PROJECT_ROOT, 'results', `benchmark-${new Date().toISOString().replace(/[:.]/g, '-')}.json`);
-  fs.mkdirSync(path.dirname(resultsFile), { recursive: true });
-  fs.writeFileSync(resultsFile, JSON.stringify({ results, timestamp: new Date().toISOString() }, null, 2));
+  const resultsFile = path.join(benchmarkDir, 'benchmark.json');
+  fs.writeFileSync(resultsFile, JSON.stringify({ results, format: UPLOAD_FORMAT, cover: COVER, artworkCost, timestamp: new Date().toISOString() }, null, 2));
   console.log(`\n📄 Results saved to: ${resultsFile}`);
 }
 
@@ -320,29 +411,41 @@ async function main() {
   console.log('========================');
   console.log(`File sizes: ${FILE_SIZES.join(', ')}MB`);
   console.log(`Concurrency: ${CONCURRENCY_LEVELS.join(', ')} VUs`);
-  console.log(`Total tests: ${FILE_SIZES.length * CONCURRENCY_LEVELS.length}`);
+  console.log(`File format: ${UPLOAD_FORMAT}`);
+  console.log(`Cover art: ${COVER ? `${artworkLabel(COVER)} (compared with tag-only)` : 'none'}`);
+  console.log(`Total tests: ${FILE_SIZES.length * CONCURRENCY_LEVELS.length * ARTWORK_VARIANTS.length}`);
   console.log('');
   
+  benchmarkDir = createRunDir(PROJECT_ROOT, 'benchmark');
+  
   try {
-    await startContainers();
-    await seedData();
+    await junit.step('start containers', startContainers);
+    await junit.step('seed', seedData);
     
     // Run all combinations
     for (const sizeMB of FILE_SIZES) {
-      await generateTestFile(sizeMB);
-      
-      for (const vus of CONCURRENCY_LEVELS) {
-        await runUploadTest(sizeMB, vus);
+      for (const cover of ARTWORK_VARIANTS) {
+        const label = `generate ${sizeMB}MB test file${cover ? ` (cover ${artworkLabel(cover)})` : ''}`;
+        await junit.step(label, () => generateTestFile(sizeMB, cover));
         
-        // Brief pause between tests
-        await new Promise(r => setTimeout(r, 5000));
+        for (const vus of CONCURRENCY_LEVELS) {
+          await runUploadTest(sizeMB, vus, cover);
+          
+          // Brief pause between tests
+          await new Promise(r => setTimeout(r, 5000));
+        }
       }
     }
     
     await printResults();
     
   } finally {
-    await stopContainers();
+    try {
+      await junit.step('stop containers', stopContainers);
+    } finally {
+      junit.write(JUNIT_FILE);
+      console.log(`📄 JUnit report: ${path.relative(PROJECT_ROOT, JUNIT_FILE)}`);
+    }
   }
 }
 
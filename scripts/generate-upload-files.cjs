@@ -7,18 +7,33 @@
  * - large-50mb.bin   - large file test
  * - xlarge-100mb.bin - stress test
  * 
- * Files are binary with minimal MP3 structure (valid enough for upload).
- * The server may or may not process them correctly, but that's fine -
- * we're testing memory stability, not audio parsing.
+ * By default files are binary with minimal MP3 structure (valid enough for
+ * upload). The server may or may not process them correctly, but that's fine -
+ * we're testing memory stability, not audio parsing. They also force the
+ * metadata parser into a worst-case full-file scan (see UPLOAD_TEST.md).
+ * 
+ * With --format the files are real, decodable audio of the same sizes
+ * (scripts/lib/audio.cjs) with full tags, e.g. small-5mb-0.flac, plus a
+ * manifest next to each (small-5mb-0.flac.json) telling k6 where the nonce
+ * placeholder sits that makes every upload unique.
+ * 
+ * --cover-size embeds a front cover of that many KB (JPEG, or PNG with
+ * --cover-format png) into real-format files, so uploads also go through the
+ * server's artwork extraction.
  * 
  * Usage:
  *   node scripts/generate-upload-files.cjs
  *   node scripts/generate-upload-files.cjs --size 50  # Generate 50MB only
+ *   node scripts/generate-upload-files.cjs --format flac               # mp3 | wav | flac | ogg
+ *   node scripts/generate-upload-files.cjs --format mp3 --duration 600 # Fixed duration, padded to size
+ *   node scripts/generate-upload-files.cjs --format flac --cover-size 5120 --cover-format png  # 5MB cover
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { FORMATS, generateAudio } = require('./lib/audio.cjs');
+const { COVER_FORMATS, generateCover } = require('./lib/cover.cjs');
 
 const FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
 
@@ -83,6 +98,23 @@ function generateMp3File(sizeMB, variant = 0) {
   return Buffer.concat(chunks);
 }
 
+/**
+ * Tags for a real-format fixture; the title is unique per seed, size and variant
+ */
+function fixtureTags(sizeMB, variant) {
+  return {
+    title: `Test ${SEED}-${sizeMB}MB-v${variant}`,
+    artist: 'M3W Load Test',
+    album: `Upload Fixtures ${sizeMB}MB`,
+    albumArtist: 'M3W Load Test',
+    trackNumber: variant + 1,
+    trackTotal: VARIANTS_COUNT,
+    year: new Date().getFullYear(),
+    genre: 'Electronic',
+    comment: `Generated with seed ${SEED}`,
+  };
+}
+
 /**
  * Create minimal ID3v2.3 tag for metadata
  */
@@ -145,17 +177,50 @@ async function generateFiles() {
     fs.mkdirSync(FIXTURES_DIR, { recursive: true });
   }
   
-  // Parse CLI args for specific size
+  // Parse CLI args for specific size, format, duration and cover
   const args = process.argv.slice(2);
   let targetSize = null;
+  let format = 'synthetic';
+  let durationSeconds = null;
+  let coverSizeKB = 0;
+  let coverFormat = 'jpeg';
   
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--size' && args[i + 1]) {
       targetSize = parseInt(args[i + 1]);
-      break;
+    } else if (args[i] === '--format' && args[i + 1]) {
+      format = args[i + 1];
+    } else if (args[i] === '--duration' && args[i + 1]) {
+      durationSeconds = parseFloat(args[i + 1]);
+    } else if (args[i] === '--cover-size' && args[i + 1]) {
+      coverSizeKB = parseInt(args[i + 1]);
+    } else if (args[i] === '--cover-format' && args[i + 1]) {
+      coverFormat = args[i + 1];
     }
   }
   
+  if (format !== 'synthetic' && !FORMATS[format]) {
+    console.log(`Unknown format: ${format}`);
+    console.log(`Available formats: synthetic, ${Object.keys(FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+  if (coverSizeKB > 0 && format === 'synthetic') {
+    console.log('Cover art needs a real format: add --format mp3|wav|flac|ogg');
+    process.exit(1);
+  }
+  if (!COVER_FORMATS[coverFormat]) {
+    console.log(`Unknown cover format: ${coverFormat}`);
+    console.log(`Available cover formats: ${Object.keys(COVER_FORMATS).join(', ')}`);
+    process.exit(1);
+  }
+  const extension = format === 'synthetic' ? 'bin' : FORMATS[format].extension;
+  
+  // One cover for all files; the nonce keeps every upload unique anyway
+  const cover = coverSizeKB > 0 ? generateCover({ format: coverFormat, sizeBytes: coverSizeKB * 1024 }) : null;
+  if (cover) {
+    console.log(`🖼️  Cover: ${coverFormat} ${cover.width}x${cover.height}, ${coverSizeKB}KB\n`);
+  }
+  
   const filesToGenerate = targetSize 
     ? FILE_SIZES.filter(f => f.sizeMB === targetSize)
     : FILE_SIZES;
@@ -169,36 +234,54 @@ async function generateFiles() {
   for (const { name, sizeMB } of filesToGenerate) {
     // Generate multiple variants to avoid deduplication (server uses content hash)
     // Always regenerate with current seed to ensure unique content
-    console.log(`📦 Generating ${name}-*.bin (${sizeMB}MB x ${VARIANTS_COUNT})...`);
+    console.log(`📦 Generating ${name}-*.${extension} (${sizeMB}MB x ${VARIANTS_COUNT})...`);
     
     for (let variant = 0; variant < VARIANTS_COUNT; variant++) {
-      const fileName = `${name}-${variant}.bin`;
+      const fileName = `${name}-${variant}.${extension}`;
       const filePath = path.join(FIXTURES_DIR, fileName);
       
       const startTime = Date.now();
-      const data = generateMp3File(sizeMB, variant);
-      fs.writeFileSync(filePath, data);
+      let detail = '';
+      if (format === 'synthetic') {
+        fs.writeFileSync(filePath, generateMp3File(sizeMB, variant));
+      } else {
+        const { data, manifest } = generateAudio({
+          format,
+          sizeBytes: sizeMB * 1024 * 1024,
+          durationSeconds,
+          tags: fixtureTags(sizeMB, variant),
+          cover,
+        });
+        fs.writeFileSync(filePath, data);
+        fs.writeFileSync(`${filePath}.json`, JSON.stringify(manifest, null, 2) + '\n');
+        detail = `, ${manifest.durationSeconds.toFixed(0)}s @ ${manifest.bitrateKbps}kbps`;
+      }
       
       const duration = ((Date.now() - startTime) / 1000).toFixed(1);
       process.stdout.write(`   [${variant + 1}/${VARIANTS_COUNT}] `);
-      console.log(`${fileName} (${duration}s)`);
+      console.log(`${fileName} (${duration}s${detail})`);
     }
     console.log('');
   }
   
   console.log('\n📋 Generated files:');
   for (const { name, sizeMB } of filesToGenerate) {
-    const filePath = path.join(FIXTURES_DIR, `${name}-0.bin`);
+    const filePath = path.join(FIXTURES_DIR, `${name}-0.${extension}`);
     if (fs.existsSync(filePath)) {
       const stats = fs.statSync(filePath);
       const actualSize = (stats.size / 1024 / 1024).toFixed(1);
-      console.log(`   fixtures/${name}-[0-${VARIANTS_COUNT-1}].bin - ${actualSize}MB each`);
+      console.log(`   fixtures/${name}-[0-${VARIANTS_COUNT-1}].${extension} - ${actualSize}MB each`);
     }
   }
   
   console.log('\n💡 Usage:');
   console.log('   npm run test:upload             # Full test with 5MB files');
   console.log('   npm run test:upload -- --size 50  # Test with 50MB files');
+  console.log('   npm run test:upload -- --format flac  # Test with real FLAC files');
+  console.log('   npm run test:upload -- --format mp3 --cover-size 5120  # With 5MB cover art');
 }
 
-generateFiles().catch(console.error);
+generateFiles().catch(err => {
+  console.error('❌ Generation failed:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,245 @@
+/**
+ * Aborted uploads: clients dropping the connection part-way through the body
+ *
+ * k6 always finishes a request body, so the interrupted-upload scenario of
+ * run-upload-test.cjs (--aborted) drives its own sockets. Each upload sends
+ * the request headers with the full Content-Length, then only the body up to
+ * a random offset, and stops:
+ * - drop: the socket is destroyed, as when a client goes away mid-upload
+ * - truncate: the client closes its sending side and waits for the server
+ *   to answer or close the connection; that wait is the server's handling
+ *   time for the broken upload
+ *
+ * No upload ever completes, so afterwards there must be no song, no `files`
+ * row and no MinIO object (complete or incomplete) left from them.
+ */
+
+const net = require('net');
+const tls = require('tls');
+const { countBucketObjects } = require('./dedupe.cjs');
+const { average, percentile } = require('./stats.cjs');
+
+const ABORT_MODES = ['drop', 'truncate'];
+
+// A truncated upload the server has not reacted to by then counts as a hang
+const RESPONSE_TIMEOUT_MS = 30000;
+
+function multipartParts(fileName, mimeType) {
+  const boundary = `----M3WAborted${Date.now().toString(16)}${Math.random().toString(16).slice(2)}`;
+  return {
+    boundary,
+    head: Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${fileName}"\r\n` +
+      `Content-Type: ${mimeType}\r\n\r\n`
+    ),
+    tail: Buffer.from(`\r\n--${boundary}--\r\n`),
+  };
+}
+
+function requestHead(url, token, boundary, contentLength) {
+  return Buffer.from([
+    `POST ${url.pathname}${url.search} HTTP/1.1`,
+    `Host: ${url.host}`,
+    `Authorization: Bearer ${token}`,
+    `Content-Type: multipart/form-data; boundary=${boundary}`,
+    `Content-Length: ${contentLength}`,
+    'Connection: close',
+    '',
+    '',
+  ].join('\r\n'));
+}
+
+// The first `length` bytes of `parts`, as views (the file is not copied)
+function prefix(parts, length) {
+  const chunks = [];
+  for (const part of parts) {
+    if (length <= 0) break;
+    chunks.push(part.subarray(0, Math.min(part.length, length)));
+    length -= part.length;
+  }
+  return chunks;
+}
+
+function connect(url) {
+  const secure = url.protocol === 'https:';
+  const port = parseInt(url.port) || (secure ? 443 : 80);
+  return secure
+    ? tls.connect({ host: url.hostname, port, servername: url.hostname, allowHalfOpen: true })
+    : net.connect({ host: url.hostname, port, allowHalfOpen: true });
+}
+
+/**
+ * Upload `data` and cut the body off at `abortFraction` (0..1) of its length
+ *
+ * Resolves to { mode, bodyBytes, abortAt, outcome, status, handlingMs }:
+ * - outcome: 'dropped' (drop mode), 'answered' (the server sent a status
+ *   line), 'closed' (it closed without answering), 'timeout' (no reaction
+ *   within RESPONSE_TIMEOUT_MS), 'early' (it answered before the cut) or
+ *   'error' (the connection failed before the cut)
+ * - handlingMs: time from the cut to the server's reaction (truncate mode)
+ */
+function abortedUpload({ url, token, data, fileName, mimeType, mode, abortFraction }) {
+  const parts = multipartParts(fileName, mimeType);
+  const bodyBytes = parts.head.length + data.length + parts.tail.length;
+  const abortAt = Math.min(bodyBytes - 1, Math.max(1, Math.floor(bodyBytes * abortFraction)));
+  const chunks = [
+    requestHead(url, token, parts.boundary, bodyBytes),
+    ...prefix([parts.head, data, parts.tail], abortAt),
+  ];
+  
+  return new Promise((resolve) => {
+    const result = { mode, bodyBytes, abortAt, outcome: null, status: null, handlingMs: null };
+    const socket = connect(url);
+    let cutAt = null;
+    let timer = null;
+    let response = '';
+    
+    const finish = (outcome) => {
+      if (result.outcome) return;
+      clearTimeout(timer);
+      result.outcome = outcome;
+      if (cutAt !== null && outcome !== 'timeout') {
+        result.handlingMs = Date.now() - cutAt;
+      }
+      socket.destroy();
+      resolve(result);
+    };
+    
+    // Only the status line matters
+    socket.on('data', (chunk) => {
+      if (response.length >= 16) return;
+      response += chunk.toString('latin1', 0, 16);
+      const match = response.match(/^HTTP\/1\.[01] (\d{3})/);
+      if (match) {
+        result.status = parseInt(match[1]);
+        finish(cutAt === null ? 'early' : 'answered');
+      }
+    });
+    socket.on('end', () => finish(cutAt === null ? 'error' : 'closed'));
+    socket.on('error', () => finish(cutAt === null ? 'error' : 'closed'));
+    socket.on('close', () => finish(cutAt === null ? 'error' : 'closed'));
+    
+    // Cut once the last chunk has been handed to the kernel
+    const cut = (err) => {
+      if (err || result.outcome) return;
+      if (mode === 'drop') {
+        finish('dropped');
+        return;
+      }
+      cutAt = Date.now();
+      socket.end();
+      timer = setTimeout(() => finish('timeout'), RESPONSE_TIMEOUT_MS);
+    };
+    
+    chunks.forEach((chunk, i) => socket.write(chunk, i === chunks.length - 1 ? cut : undefined));
+  });
+}
+
+/**
+ * Run `vus` concurrent clients for `durationMs`. Each client uploads as one
+ * of `users` ({ token, libraryId }), back to back, a random one of `files`
+ * ({ data, fileName, mimeType }) in a random mode, cut at a random offset.
+ * Resolves to the results of all uploads.
+ */
+async function runAbortedUploads({ baseUrl, users, files, vus, durationMs }) {
+  const endAt = Date.now() + durationMs;
+  const results = [];
+  
+  async function client(index) {
+    const user = users[index % users.length];
+    const url = new URL(`/api/libraries/${user.libraryId}/songs`, baseUrl);
+    
+    for (let iter = 0; Date.now() < endAt; iter++) {
+      const file = files[Math.floor(Math.random() * files.length)];
+      results.push(await abortedUpload({
+        url,
+        token: user.token,
+        data: file.data,
+        fileName: `aborted-${index}-${iter}-${file.fileName}`,
+        mimeType: file.mimeType,
+        mode: ABORT_MODES[Math.floor(Math.random() * ABORT_MODES.length)],
+        abortFraction: Math.random(),
+      }));
+    }
+  }
+  
+  await Promise.all(Array.from({ length: vus }, (_, i) => client(i)));
+  return results;
+}
+
+function countBy(items, key) {
+  const counts = {};
+  for (const item of items) {
+    counts[item[key]] = (counts[item[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Per mode: uploads, outcomes, response statuses and handling time
+ * ({ avg, p50, p95, max } in ms, truncate mode)
+ */
+function summarizeAbortedUploads(results) {
+  const modes = {};
+  for (const mode of ABORT_MODES) {
+    const modeResults = results.filter(r => r.mode === mode);
+    const handling = modeResults
+      .filter(r => r.handlingMs !== null)
+      .map(r => r.handlingMs)
+      .sort((a, b) => a - b);
+    
+    modes[mode] = {
+      uploads: modeResults.length,
+      outcomes: countBy(modeResults, 'outcome'),
+      statuses: countBy(modeResults.filter(r => r.status !== null), 'status'),
+      handlingMs: handling.length > 0 ? {
+        avg: average(handling),
+        p50: percentile(handling, 50),
+        p95: percentile(handling, 95),
+        max: handling[handling.length - 1],
+      } : null,
+    };
+  }
+  
+  return {
+    uploads: results.length,
+    completed: results.filter(r => r.status >= 200 && r.status < 300).length,
+    timeouts: results.filter(r => r.outcome === 'timeout').length,
+    // Never got to the cut: nothing about aborted uploads was tested there
+    notCut: results.filter(r => r.outcome === 'early' || r.outcome === 'error').length,
+    modes,
+  };
+}
+
+/**
+ * Check that the aborted uploads left nothing behind. Songs and files are
+ * cleared before the run; objectsBefore is { complete, incomplete } from
+ * countBucketObjects() taken before it. Returns [{ name, ok, message }].
+ */
+async function verifyNoOrphans(client, runtime, objectsBefore) {
+  const count = async (table) => (await client.query(`SELECT COUNT(*)::int AS count FROM ${table}`)).rows[0].count;
+  const songs = await count('songs');
+  const files = await count('files');
+  const objectsAdded = countBucketObjects(runtime) - objectsBefore.complete;
+  const incompleteAdded = countBucketObjects(runtime, { incomplete: true }) - objectsBefore.incomplete;
+  
+  return [
+    { name: 'no songs from aborted uploads', ok: songs === 0, message: `${songs} songs` },
+    { name: 'no orphan files rows', ok: files === 0, message: `${files} files rows` },
+    { name: 'no orphan MinIO objects', ok: objectsAdded === 0, message: `${objectsAdded} objects added` },
+    {
+      name: 'no incomplete MinIO uploads',
+      ok: incompleteAdded === 0,
+      message: `${incompleteAdded} incomplete multipart uploads left`,
+    },
+  ];
+}
+
+module.exports = {
+  ABORT_MODES,
+  abortedUpload,
+  runAbortedUploads,
+  summarizeAbortedUploads,
+  verifyNoOrphans,
+};
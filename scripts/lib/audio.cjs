@@ -0,0 +1,866 @@
+/**
+ * Decodable test audio without ffmpeg
+ *
+ * Generates MP3, WAV, FLAC and Ogg Opus files of a requested duration and/or
+ * size with full tags, so uploads take the same path as real music: metadata
+ * parsers find a LAME/Info header (frame count, TOC, CRCs), a FLAC STREAMINFO
+ * (total samples, MD5) or Opus granule positions and can stop reading early.
+ *
+ * The audio itself is kept simple:
+ * - WAV / FLAC: a 440Hz / 660Hz stereo tone (FLAC frames stored verbatim;
+ *   where the size budget runs out, frames are silent CONSTANT subframes)
+ * - MP3: valid Layer III frames with empty side info (digital silence)
+ * - Opus: CELT silence frames in code 3 packets, padded to the bitrate
+ *
+ * With only a duration the size follows from the format's bitrate; with only
+ * a size the duration does. With both, the file is padded up to the size
+ * (ID3 padding, FLAC PADDING block, WAV JUNK chunk, Opus packet padding);
+ * generateAudio() throws when that can't be met, e.g. WAV audio that is
+ * already larger than the size, or Opus packets (1275 bytes at most) that
+ * can't be padded up to it.
+ *
+ * With a cover (scripts/lib/cover.cjs) the picture is embedded the way each
+ * format carries artwork: an ID3 APIC frame (MP3, and an `id3 ` chunk in
+ * WAV), a FLAC PICTURE block, or a METADATA_BLOCK_PICTURE comment (Opus,
+ * spanning as many Ogg pages as it needs). With only a size the cover adds
+ * to it, so the duration is the same as without; with a size and a duration
+ * it has to fit into the padding.
+ *
+ * Every file carries a 32-character nonce placeholder in its tags
+ * (M3W_NONCE). The manifest returned with the data records where it is, so
+ * uploads can make each copy unique without touching the audio. Ogg pages are
+ * checksummed, so for Ogg the manifest also names the page whose CRC must be
+ * recomputed after writing the nonce.
+ */
+
+const crypto = require('crypto');
+
+const SAMPLE_RATE = 44100;
+const CHANNELS = 2;
+const BYTES_PER_SECOND = SAMPLE_RATE * CHANNELS * 2; // 16-bit PCM
+
+const NONCE_TAG = 'M3W_NONCE';
+const NONCE_LENGTH = 32;
+const NONCE_PLACEHOLDER = '0'.repeat(NONCE_LENGTH);
+
+const VENDOR = 'M3W load test generator';
+
+// How far a file may end up from a size given together with a duration
+const SIZE_TOLERANCE = 0.01;
+
+const FORMATS = {
+  mp3: { extension: 'mp3', mimeType: 'audio/mpeg', defaultBitrateKbps: 320 },
+  wav: { extension: 'wav', mimeType: 'audio/wav' },
+  flac: { extension: 'flac', mimeType: 'audio/flac' },
+  ogg: { extension: 'ogg', mimeType: 'audio/ogg', defaultBitrateKbps: 256 },
+};
+
+// --- Checksums ---
+
+// MSB-first CRC table (FLAC CRC-8/CRC-16, Ogg CRC-32)
+function crcTable(width, poly) {
+  const table = new Uint32Array(256);
+  const top = width === 32 ? 0x80000000 : 1 << (width - 1);
+  const mask = width === 32 ? 0xffffffff : (1 << width) - 1;
+  for (let i = 0; i < 256; i++) {
+    let crc = (i << (width - 8)) >>> 0;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc & top) ? (crc << 1) ^ poly : crc << 1;
+      crc = (crc & mask) >>> 0;
+    }
+    table[i] = crc;
+  }
+  return table;
+}
+
+const CRC8 = crcTable(8, 0x07);
+const CRC16 = crcTable(16, 0x8005);
+const CRC32 = crcTable(32, 0x04c11db7);
+
+function crc(table, width, data, crcValue = 0) {
+  const mask = width === 32 ? 0xffffffff : (1 << width) - 1;
+  for (let i = 0; i < data.length; i++) {
+    crcValue = ((table[((crcValue >>> (width - 8)) ^ data[i]) & 0xff] ^ (crcValue << 8)) & mask) >>> 0;
+  }
+  return crcValue;
+}
+
+// LSB-first CRC-16 (poly 0xA001) used by the LAME tag
+const CRC16_LAME = new Uint16Array(256).map((_, i) => {
+  let value = i;
+  for (let bit = 0; bit < 8; bit++) {
+    value = value & 1 ? (value >>> 1) ^ 0xa001 : value >>> 1;
+  }
+  return value;
+});
+
+function crcLame(data, crcValue = 0) {
+  for (let i = 0; i < data.length; i++) {
+    crcValue = (CRC16_LAME[(crcValue ^ data[i]) & 0xff] ^ (crcValue >>> 8)) & 0xffff;
+  }
+  return crcValue;
+}
+
+// --- PCM ---
+
+// Stereo tone, left 440Hz and right 660Hz at -12dB
+function toneSample(channel, n) {
+  const frequency = channel === 0 ? 440 : 660;
+  return Math.round(Math.sin((2 * Math.PI * frequency * n) / SAMPLE_RATE) * 0.25 * 32767);
+}
+
+// Interleaved 16-bit little-endian PCM for samples start..start+count
+function tonePcm(start, count) {
+  const pcm = Buffer.alloc(count * CHANNELS * 2);
+  for (let i = 0; i < count; i++) {
+    pcm.writeInt16LE(toneSample(0, start + i), i * 4);
+    pcm.writeInt16LE(toneSample(1, start + i), i * 4 + 2);
+  }
+  return pcm;
+}
+
+// --- Tags ---
+
+/**
+ * Tag values as Vorbis comments (FLAC, Opus); the nonce goes last
+ */
+function vorbisComments(tags, cover) {
+  const comments = [
+    ['TITLE', tags.title],
+    ['ARTIST', tags.artist],
+    ['ALBUM', tags.album],
+    ['ALBUMARTIST', tags.albumArtist],
+    ['TRACKNUMBER', tags.trackNumber],
+    ['TRACKTOTAL', tags.trackTotal],
+    ['DATE', tags.year],
+    ['GENRE', tags.genre],
+    ['COMMENT', tags.comment],
+  ]
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${value}`);
+  comments.push(`${NONCE_TAG}=${NONCE_PLACEHOLDER}`);
+  if (cover) {
+    comments.push(`METADATA_BLOCK_PICTURE=${flacPicture(cover).toString('base64')}`);
+  }
+  return comments;
+}
+
+/**
+ * Vorbis comment structure (little-endian lengths)
+ * Returns { data, nonceOffset } with the offset relative to `data`
+ */
+function vorbisCommentBlock(tags, cover) {
+  const parts = [];
+  const vendor = Buffer.from(VENDOR, 'utf8');
+  parts.push(uint32LE(vendor.length), vendor);
+  
+  const comments = vorbisComments(tags, cover);
+  parts.push(uint32LE(comments.length));
+  
+  let nonceOffset = 0;
+  for (const comment of comments) {
+    const text = Buffer.from(comment, 'utf8');
+    parts.push(uint32LE(text.length));
+    if (comment.startsWith(`${NONCE_TAG}=`)) {
+      nonceOffset = totalLength(parts) + NONCE_TAG.length + 1;
+    }
+    parts.push(text);
+  }
+  
+  return { data: Buffer.concat(parts), nonceOffset };
+}
+
+function syncsafe(size) {
+  return Buffer.from([(size >> 21) & 0x7f, (size >> 14) & 0x7f, (size >> 7) & 0x7f, size & 0x7f]);
+}
+
+// ID3v2.4 frame with UTF-8 content
+function id3Frame(id, content) {
+  return Buffer.concat([Buffer.from(id, 'ascii'), syncsafe(content.length), Buffer.from([0x00, 0x00]), content]);
+}
+
+function id3TextFrame(id, text) {
+  return id3Frame(id, Buffer.concat([Buffer.from([0x03]), Buffer.from(String(text), 'utf8')]));
+}
+
+// APIC: encoding, MIME type, NUL, picture type (front cover), empty description, image
+function id3PictureFrame(cover) {
+  return id3Frame('APIC', Buffer.concat([
+    Buffer.from([0x03]),
+    Buffer.from(cover.mimeType, 'latin1'),
+    Buffer.from([0x00, 0x03, 0x00]),
+    cover.data,
+  ]));
+}
+
+function id3Header(bodyLength) {
+  return Buffer.concat([
+    Buffer.from('ID3', 'ascii'),
+    Buffer.from([0x04, 0x00, 0x00]), // v2.4, no flags
+    syncsafe(bodyLength),
+  ]);
+}
+
+/**
+ * ID3v2.4 tag with `paddingBytes` of padding and an optional cover
+ * Returns { data, nonceOffset }
+ */
+function id3Tag(tags, paddingBytes = 0, cover = null) {
+  const frames = [];
+  const text = (id, value) => {
+    if (value !== undefined && value !== null) frames.push(id3TextFrame(id, value));
+  };
+  
+  text('TIT2', tags.title);
+  text('TPE1', tags.artist);
+  text('TALB', tags.album);
+  text('TPE2', tags.albumArtist);
+  if (tags.trackNumber !== undefined) {
+    text('TRCK', tags.trackTotal ? `${tags.trackNumber}/${tags.trackTotal}` : tags.trackNumber);
+  }
+  text('TDRC', tags.year);
+  text('TCON', tags.genre);
+  if (tags.comment) {
+    // Encoding, language, empty description, text
+    frames.push(id3Frame('COMM', Buffer.concat([
+      Buffer.from([0x03]),
+      Buffer.from('eng', 'ascii'),
+      Buffer.from([0x00]),
+      Buffer.from(tags.comment, 'utf8'),
+    ])));
+  }
+  
+  // TXXX: encoding, description, NUL, value; the nonce is the value
+  const header = 10;
+  const nonceFrame = id3Frame('TXXX', Buffer.concat([
+    Buffer.from([0x03]),
+    Buffer.from(NONCE_TAG, 'utf8'),
+    Buffer.from([0x00]),
+    Buffer.from(NONCE_PLACEHOLDER, 'ascii'),
+  ]));
+  const nonceOffset = header + totalLength(frames) + nonceFrame.length - NONCE_LENGTH;
+  frames.push(nonceFrame);
+  if (cover) {
+    frames.push(id3PictureFrame(cover));
+  }
+  
+  const body = Buffer.concat([...frames, Buffer.alloc(paddingBytes)]);
+  return { data: Buffer.concat([id3Header(body.length), body]), nonceOffset };
+}
+
+// --- Helpers ---
+
+function uint32LE(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt32LE(value);
+  return buf;
+}
+
+function totalLength(buffers) {
+  return buffers.reduce((sum, b) => sum + b.length, 0);
+}
+
+// --- MP3 ---
+
+const MP3_BITRATES = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+// The Info frame must hold Xing + LAME (192 bytes), which rules out < 64kbps
+const MP3_MIN_BITRATE = 64;
+const MP3_SAMPLES_PER_FRAME = 1152;
+const MP3_ENCODER_DELAY = 576;
+const MP3_SIDE_INFO = 32; // MPEG-1 stereo
+
+function mp3FrameLength(bitrateKbps, padding) {
+  return Math.floor((144000 * bitrateKbps) / SAMPLE_RATE) + padding;
+}
+
+// Padding bits of `count` frames so the average matches the bitrate exactly
+function mp3Paddings(bitrateKbps, count) {
+  const exact = (144000 * bitrateKbps) / SAMPLE_RATE;
+  const fraction = exact - Math.floor(exact);
+  const paddings = new Uint8Array(count);
+  let rest = 0;
+  for (let i = 0; i < count; i++) {
+    rest += fraction;
+    if (rest >= 1) {
+      paddings[i] = 1;
+      rest -= 1;
+    }
+  }
+  return paddings;
+}
+
+function mp3Header(bitrateKbps, padding) {
+  const bitrateIndex = MP3_BITRATES.indexOf(bitrateKbps) + 1;
+  // MPEG-1 Layer III, no CRC | bitrate, 44.1kHz, padding | stereo, original
+  return Buffer.from([0xff, 0xfb, (bitrateIndex << 4) | (padding << 1), 0x04]);
+}
+
+// Silent frame: header, all-zero side info (no main data), zero ancillary bytes
+function mp3SilentFrame(bitrateKbps, padding) {
+  const frame = Buffer.alloc(mp3FrameLength(bitrateKbps, padding));
+  mp3Header(bitrateKbps, padding).copy(frame, 0);
+  return frame;
+}
+
+/**
+ * First frame carrying the Xing "Info" (CBR) header and LAME extension
+ */
+function mp3InfoFrame({ bitrateKbps, frameCount, audioBytes, totalSamples, musicCrc }) {
+  const frame = mp3SilentFrame(bitrateKbps, 0);
+  const totalBytes = frame.length + audioBytes;
+  let pos = 4 + MP3_SIDE_INFO;
+  
+  frame.write('Info', pos, 'ascii');
+  frame.writeUInt32BE(0x0f, pos + 4); // frames, bytes, TOC, quality present
+  frame.writeUInt32BE(frameCount, pos + 8);
+  frame.writeUInt32BE(totalBytes, pos + 12);
+  for (let i = 0; i < 100; i++) {
+    frame[pos + 16 + i] = Math.floor((i * 256) / 100); // CBR: linear TOC
+  }
+  frame.writeUInt32BE(0, pos + 116); // quality
+  pos += 120;
+  
+  // LAME extension
+  frame.write('LAME3.100', pos, 'ascii');
+  frame[pos + 9] = 0x01;                 // tag revision 0, CBR
+  frame[pos + 10] = 200;                 // lowpass 20kHz
+  // peak (4), radio gain (2), audiophile gain (2), flags/ATH (1): zero
+  frame[pos + 20] = Math.min(bitrateKbps, 255);
+  const padding = frameCount * MP3_SAMPLES_PER_FRAME - totalSamples - MP3_ENCODER_DELAY;
+  frame[pos + 21] = MP3_ENCODER_DELAY >> 4;
+  frame[pos + 22] = ((MP3_ENCODER_DELAY & 0x0f) << 4) | (padding >> 8);
+  frame[pos + 23] = padding & 0xff;
+  // misc (1), MP3 gain (1), preset/surround (2): zero
+  frame.writeUInt32BE(totalBytes, pos + 28);
+  frame.writeUInt16BE(musicCrc, pos + 32);
+  frame.writeUInt16BE(crcLame(frame.subarray(0, pos + 34)), pos + 34);
+  
+  return frame;
+}
+
+function generateMp3({ durationSeconds, sizeBytes, bitrateKbps, tags, cover }) {
+  const tagLength = id3Tag(tags, 0, cover).data.length;
+  
+  // Bitrate: explicit, else the highest that fits the size, else the default
+  const bytesFor = (kbps, seconds) => Math.ceil((seconds * kbps * 1000) / 8);
+  if (!bitrateKbps) {
+    bitrateKbps = durationSeconds && sizeBytes
+      ? [...MP3_BITRATES].reverse().find(kbps => kbps >= MP3_MIN_BITRATE && tagLength + bytesFor(kbps, durationSeconds) <= sizeBytes) || MP3_MIN_BITRATE
+      : FORMATS.mp3.defaultBitrateKbps;
+  }
+  if (!MP3_BITRATES.includes(bitrateKbps) || bitrateKbps < MP3_MIN_BITRATE) {
+    throw new Error(`Unsupported MP3 bitrate ${bitrateKbps}kbps (${MP3_BITRATES.filter(b => b >= MP3_MIN_BITRATE).join(', ')})`);
+  }
+  if (!durationSeconds) {
+    durationSeconds = Math.max(1, Math.floor(((sizeBytes - tagLength) * 8) / (bitrateKbps * 1000)));
+  }
+  
+  const totalSamples = Math.round(durationSeconds * SAMPLE_RATE);
+  const frameCount = Math.ceil((totalSamples + MP3_ENCODER_DELAY) / MP3_SAMPLES_PER_FRAME);
+  const templates = [mp3SilentFrame(bitrateKbps, 0), mp3SilentFrame(bitrateKbps, 1)];
+  const paddings = mp3Paddings(bitrateKbps, frameCount);
+  
+  const frames = [];
+  let audioBytes = 0;
+  let musicCrc = 0;
+  for (let i = 0; i < frameCount; i++) {
+    const frame = templates[paddings[i]];
+    frames.push(frame);
+    audioBytes += frame.length;
+    musicCrc = crcLame(frame, musicCrc);
+  }
+  
+  const info = mp3InfoFrame({ bitrateKbps, frameCount, audioBytes, totalSamples, musicCrc });
+  const paddingBytes = sizeBytes ? Math.max(0, sizeBytes - tagLength - info.length - audioBytes) : 0;
+  const tag = id3Tag(tags, paddingBytes, cover);
+  
+  return {
+    data: Buffer.concat([tag.data, info, ...frames]),
+    durationSeconds,
+    bitrateKbps,
+    nonceOffset: tag.nonceOffset,
+  };
+}
+
+// --- WAV ---
+
+function riffChunk(id, content) {
+  const header = Buffer.alloc(8);
+  header.write(id, 0, 'ascii');
+  header.writeUInt32LE(content.length, 4);
+  const pad = content.length % 2 === 1 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, content, pad]);
+}
+
+function wavInfoList(tags) {
+  const entries = [
+    ['INAM', tags.title],
+    ['IART', tags.artist],
+    ['IPRD', tags.album],
+    ['ITRK', tags.trackNumber],
+    ['ICRD', tags.year],
+    ['IGNR', tags.genre],
+    ['ICMT', tags.comment],
+  ].filter(([, value]) => value !== undefined && value !== null);
+  
+  const chunks = entries.map(([id, value]) => riffChunk(id, Buffer.from(`${value}\0`, 'utf8')));
+  return riffChunk('LIST', Buffer.concat([Buffer.from('INFO', 'ascii'), ...chunks]));
+}
+
+function generateWav({ durationSeconds, sizeBytes, tags, cover }) {
+  const fmt = Buffer.alloc(16);
+  fmt.writeUInt16LE(1, 0);                     // PCM
+  fmt.writeUInt16LE(CHANNELS, 2);
+  fmt.writeUInt32LE(SAMPLE_RATE, 4);
+  fmt.writeUInt32LE(BYTES_PER_SECOND, 8);
+  fmt.writeUInt16LE(CHANNELS * 2, 12);         // block align
+  fmt.writeUInt16LE(16, 14);                   // bits per sample
+  
+  const head = [riffChunk('fmt ', fmt), wavInfoList(tags)];
+  if (cover) {
+    // RIFF INFO has no picture field; readers take artwork from an ID3 chunk
+    const picture = id3PictureFrame(cover);
+    head.push(riffChunk('id3 ', Buffer.concat([id3Header(picture.length), picture])));
+  }
+  // Nonce in its own chunk; players skip unknown chunks
+  const nonceChunk = riffChunk('m3wn', Buffer.from(NONCE_PLACEHOLDER, 'ascii'));
+  const nonceOffset = 12 + totalLength(head) + 8;
+  head.push(nonceChunk);
+  
+  const headerBytes = 12 + totalLength(head) + 8; // RIFF header + chunks + data header
+  const sampleCount = durationSeconds
+    ? Math.round(durationSeconds * SAMPLE_RATE)
+    : Math.max(1, Math.floor((sizeBytes - headerBytes) / (CHANNELS * 2)));
+  
+  const dataBytes = sampleCount * CHANNELS * 2;
+  const junkBytes = sizeBytes ? sizeBytes - headerBytes - dataBytes - 8 : -1;
+  if (junkBytes >= 0) {
+    head.push(riffChunk('JUNK', Buffer.alloc(junkBytes)));
+  }
+  
+  const data = Buffer.concat([...head, riffChunk('data', tonePcm(0, sampleCount))]);
+  const riff = Buffer.alloc(12);
+  riff.write('RIFF', 0, 'ascii');
+  riff.writeUInt32LE(data.length + 4, 4);
+  riff.write('WAVE', 8, 'ascii');
+  
+  return {
+    data: Buffer.concat([riff, data]),
+    durationSeconds: sampleCount / SAMPLE_RATE,
+    bitrateKbps: (BYTES_PER_SECOND * 8) / 1000,
+    nonceOffset,
+  };
+}
+
+// --- FLAC ---
+
+const FLAC_BLOCK_SIZE = 4096;
+
+// UTF-8 style coded frame number
+function flacFrameNumber(value) {
+  if (value < 0x80) return [value];
+  let continuation = 1;
+  while (value >= 2 ** (5 * continuation + 6)) continuation++;
+  const bytes = [];
+  for (let i = 0; i < continuation; i++) {
+    bytes.unshift(0x80 | (value & 0x3f));
+    value = Math.floor(value / 64);
+  }
+  bytes.unshift(((0xff00 >> (continuation + 1)) & 0xff) | value);
+  return bytes;
+}
+
+/**
+ * One FLAC frame of `blockSize` samples starting at sample `start`, either
+ * VERBATIM tone or CONSTANT silence. Returns { frame, pcm } (pcm for the MD5).
+ */
+function flacFrame(frameNumber, start, blockSize, tone) {
+  const header = [0xff, 0xf8]; // sync, fixed block size
+  const fullBlock = blockSize === FLAC_BLOCK_SIZE;
+  header.push(((fullBlock ? 12 : 7) << 4) | 9); // 4096 or 16-bit size at end | 44.1kHz
+  header.push((1 << 4) | (4 << 1));            // stereo (independent) | 16-bit
+  header.push(...flacFrameNumber(frameNumber));
+  if (!fullBlock) {
+    header.push((blockSize - 1) >> 8, (blockSize - 1) & 0xff);
+  }
+  header.push(crc(CRC8, 8, header));
+  
+  const parts = [Buffer.from(header)];
+  let pcm;
+  if (tone) {
+    pcm = tonePcm(start, blockSize);
+    for (let channel = 0; channel < CHANNELS; channel++) {
+      const subframe = Buffer.alloc(1 + blockSize * 2);
+      subframe[0] = 0x02; // VERBATIM
+      for (let i = 0; i < blockSize; i++) {
+        subframe.writeInt16BE(pcm.readInt16LE((i * CHANNELS + channel) * 2), 1 + i * 2);
+      }
+      parts.push(subframe);
+    }
+  } else {
+    pcm = Buffer.alloc(blockSize * CHANNELS * 2);
+    for (let channel = 0; channel < CHANNELS; channel++) {
+      parts.push(Buffer.from([0x00, 0x00, 0x00])); // CONSTANT 0
+    }
+  }
+  
+  const body = Buffer.concat(parts);
+  const footer = Buffer.alloc(2);
+  footer.writeUInt16BE(crc(CRC16, 16, body));
+  return { frame: Buffer.concat([body, footer]), pcm };
+}
+
+function flacMetadataBlock(type, content, last) {
+  const header = Buffer.alloc(4);
+  header[0] = (last ? 0x80 : 0) | type;
+  header.writeUIntBE(content.length, 1, 3);
+  return Buffer.concat([header, content]);
+}
+
+// PICTURE block content (also the payload of Opus METADATA_BLOCK_PICTURE)
+function flacPicture(cover) {
+  const mimeType = Buffer.from(cover.mimeType, 'latin1');
+  const fields = Buffer.alloc(20);
+  fields.writeUInt32BE(cover.width, 0);
+  fields.writeUInt32BE(cover.height, 4);
+  fields.writeUInt32BE(cover.depth, 8);
+  fields.writeUInt32BE(0, 12);                 // colours (not indexed)
+  fields.writeUInt32BE(cover.data.length, 16);
+  
+  const type = Buffer.alloc(8);
+  type.writeUInt32BE(3, 0);                    // front cover
+  type.writeUInt32BE(mimeType.length, 4);
+  const description = Buffer.alloc(4);         // empty description
+  return Buffer.concat([type, mimeType, description, fields, cover.data]);
+}
+
+function flacStreamInfo({ minFrame, maxFrame, totalSamples, md5 }) {
+  const info = Buffer.alloc(34);
+  info.writeUInt16BE(FLAC_BLOCK_SIZE, 0);
+  info.writeUInt16BE(FLAC_BLOCK_SIZE, 2);
+  info.writeUIntBE(minFrame, 4, 3);
+  info.writeUIntBE(maxFrame, 7, 3);
+  // 20 bits sample rate | 3 bits channels-1 | 5 bits bps-1 | 36 bits total samples
+  const packed = (BigInt(SAMPLE_RATE) << 44n)
+    | (BigInt(CHANNELS - 1) << 41n)
+    | (15n << 36n)
+    | BigInt(totalSamples);
+  info.writeBigUInt64BE(packed, 10);
+  md5.copy(info, 18);
+  return info;
+}
+
+function generateFlac({ durationSeconds, sizeBytes, tags, cover }) {
+  const comments = vorbisCommentBlock(tags);
+  const picture = cover ? flacPicture(cover) : null;
+  if (picture && picture.length > 0xffffff) {
+    throw new Error('A FLAC PICTURE block holds at most 16MB');
+  }
+  const metadataBytes = 4 + (4 + 34) + (4 + comments.data.length) + (picture ? 4 + picture.length : 0) + 4; // + PADDING header
+  
+  // Verbatim costs ~4 bytes per sample frame plus headers; silence next to nothing
+  const toneFrameBytes = FLAC_BLOCK_SIZE * CHANNELS * 2 + 2 + 16;
+  const silentFrameBytes = 6 + 16;
+  const sampleCount = durationSeconds
+    ? Math.round(durationSeconds * SAMPLE_RATE)
+    : Math.max(1, Math.floor(((sizeBytes - metadataBytes) / toneFrameBytes) * FLAC_BLOCK_SIZE));
+  const frameCount = Math.ceil(sampleCount / FLAC_BLOCK_SIZE);
+  
+  // Share of frames with audible tone that still fits the size
+  let toneRatio = 1;
+  if (sizeBytes) {
+    const budget = sizeBytes - metadataBytes - frameCount * silentFrameBytes;
+    toneRatio = Math.max(0, Math.min(1, budget / (frameCount * (toneFrameBytes - silentFrameBytes))));
+  }
+  
+  const frames = [];
+  const md5 = crypto.createHash('md5');
+  let minFrame = Infinity;
+  let maxFrame = 0;
+  for (let i = 0; i < frameCount; i++) {
+    const start = i * FLAC_BLOCK_SIZE;
+    const blockSize = Math.min(FLAC_BLOCK_SIZE, sampleCount - start);
+    const tone = Math.floor((i + 1) * toneRatio) > Math.floor(i * toneRatio);
+    const { frame, pcm } = flacFrame(i, start, blockSize, tone);
+    frames.push(frame);
+    md5.update(pcm);
+    minFrame = Math.min(minFrame, frame.length);
+    maxFrame = Math.max(maxFrame, frame.length);
+  }
+  
+  const audioBytes = totalLength(frames);
+  const streamInfo = flacStreamInfo({ minFrame, maxFrame, totalSamples: sampleCount, md5: md5.digest() });
+  
+  // PADDING fills up to the size (a block holds at most 16MB, so split)
+  let paddingBytes = sizeBytes ? Math.max(0, sizeBytes - metadataBytes - audioBytes) : 0;
+  const paddingLengths = [];
+  while (paddingBytes > 0xffffff + 4) {
+    paddingLengths.push(0xffffff);
+    paddingBytes -= 0xffffff + 4; // this block and the next block's header
+  }
+  paddingLengths.push(Math.min(paddingBytes, 0xffffff));
+  
+  const head = [
+    Buffer.from('fLaC', 'ascii'),
+    flacMetadataBlock(0, streamInfo, false),
+  ];
+  const nonceOffset = totalLength(head) + 4 + comments.nonceOffset;
+  head.push(flacMetadataBlock(4, comments.data, false));
+  if (picture) {
+    head.push(flacMetadataBlock(6, picture, false));
+  }
+  paddingLengths.forEach((length, i) => {
+    head.push(flacMetadataBlock(1, Buffer.alloc(length), i === paddingLengths.length - 1));
+  });
+  
+  return {
+    data: Buffer.concat([...head, ...frames]),
+    durationSeconds: sampleCount / SAMPLE_RATE,
+    bitrateKbps: Math.round((audioBytes * 8) / (sampleCount / SAMPLE_RATE) / 1000),
+    nonceOffset,
+  };
+}
+
+// --- Ogg Opus ---
+
+const OPUS_SAMPLE_RATE = 48000;
+const OPUS_FRAME_SAMPLES = 960; // 20ms
+const OPUS_PRE_SKIP = 312;
+// CELT silence: with all-ones bytes the range decoder reads the silence flag as set
+const OPUS_SILENCE_FRAME = Buffer.from([0xff, 0xff]);
+const OPUS_MIN_PACKET = 5;
+const OPUS_MAX_PACKET = 1275;
+const OGG_SERIAL = 0x4d335721;
+
+/**
+ * Code 3 packet of exactly `length` bytes: TOC (CELT fullband 20ms, stereo),
+ * frame count 1 with padding flag, padding length, silence frame, padding
+ */
+function opusPacket(length) {
+  const rest = length - 2 - OPUS_SILENCE_FRAME.length; // padding length bytes + padding
+  const extra = Math.floor((rest - 1) / 255);
+  const last = rest - 1 - 255 * extra;
+  
+  const packet = Buffer.alloc(length);
+  packet[0] = (31 << 3) | (1 << 2) | 3;
+  packet[1] = 0x40 | 1;
+  packet.fill(0xff, 2, 2 + extra);
+  packet[2 + extra] = last;
+  OPUS_SILENCE_FRAME.copy(packet, 3 + extra);
+  return packet;
+}
+
+/**
+ * One Ogg page. With `partial` the (single) packet continues on the next
+ * page: its length is a multiple of 255 with no terminating lacing value,
+ * and the granule position is -1 since no packet ends here.
+ */
+function oggPage({ packets, granule, sequence, flags, partial = false }) {
+  const lacing = [];
+  for (const packet of packets) {
+    for (let left = packet.length; ; left -= 255) {
+      if (partial && left === 0) break;
+      lacing.push(Math.min(left, 255));
+      if (left < 255) break;
+    }
+  }
+  
+  const header = Buffer.alloc(27);
+  header.write('OggS', 0, 'ascii');
+  header[4] = 0;                               // version
+  header[5] = flags;
+  header.writeBigUInt64LE(partial ? 0xffffffffffffffffn : BigInt(granule), 6);
+  header.writeUInt32LE(OGG_SERIAL, 14);
+  header.writeUInt32LE(sequence, 18);
+  header[26] = lacing.length;
+  
+  const page = Buffer.concat([header, Buffer.from(lacing), ...packets]);
+  page.writeUInt32LE(crc(CRC32, 32, page), 22);
+  return page;
+}
+
+function lacingValues(length) {
+  return Math.floor(length / 255) + 1;
+}
+
+// Pages for one header packet; a page holds 255 lacing values, ~64KB
+const OGG_MAX_PAGE_DATA = 255 * 255;
+
+function oggHeaderPages(packet, firstSequence) {
+  const pages = [];
+  let offset = 0;
+  for (;;) {
+    const flags = offset > 0 ? 0x01 : 0;       // continued packet
+    const sequence = firstSequence + pages.length;
+    if (packet.length - offset < OGG_MAX_PAGE_DATA) {
+      pages.push(oggPage({ packets: [packet.subarray(offset)], granule: 0, sequence, flags }));
+      return pages;
+    }
+    pages.push(oggPage({ packets: [packet.subarray(offset, offset + OGG_MAX_PAGE_DATA)], sequence, flags, partial: true }));
+    offset += OGG_MAX_PAGE_DATA;
+  }
+}
+
+function generateOgg({ durationSeconds, sizeBytes, bitrateKbps, tags, cover }) {
+  const head = Buffer.alloc(19);
+  head.write('OpusHead', 0, 'ascii');
+  head[8] = 1;                                 // version
+  head[9] = CHANNELS;
+  head.writeUInt16LE(OPUS_PRE_SKIP, 10);
+  head.writeUInt32LE(SAMPLE_RATE, 12);         // input sample rate (informational)
+  head.writeInt16LE(0, 16);                    // output gain
+  head[18] = 0;                                // mapping family
+  
+  const comments = vorbisCommentBlock(tags, cover);
+  const opusTags = Buffer.concat([Buffer.from('OpusTags', 'ascii'), comments.data]);
+  
+  // The nonce comment comes before the picture, so it is on the first tags page
+  const pages = [oggPage({ packets: [head], granule: 0, sequence: 0, flags: 0x02 })];
+  const tagsPageOffset = pages[0].length;
+  const tagsPages = oggHeaderPages(opusTags, 1);
+  const tagsPage = tagsPages[0];
+  const nonceOffset = tagsPageOffset + 27 + tagsPage[26] + 8 + comments.nonceOffset;
+  pages.push(...tagsPages);
+  const headerBytes = totalLength(pages);
+  
+  // Packet size from the bitrate, or from the size budget (~27 bytes of page header per 50 packets)
+  const packetBytesFor = (kbps) => Math.round((kbps * 1000 * OPUS_FRAME_SAMPLES) / OPUS_SAMPLE_RATE / 8);
+  if (!durationSeconds) {
+    const kbps = bitrateKbps || FORMATS.ogg.defaultBitrateKbps;
+    const perSecond = (packetBytesFor(kbps) + lacingValues(packetBytesFor(kbps))) * 50 + 27;
+    durationSeconds = Math.max(1, Math.floor((sizeBytes - headerBytes) / perSecond));
+  }
+  
+  const totalSamples = Math.round(durationSeconds * OPUS_SAMPLE_RATE);
+  const packetCount = Math.ceil((totalSamples + OPUS_PRE_SKIP) / OPUS_FRAME_SAMPLES);
+  
+  let packetLengths;
+  if (sizeBytes && !bitrateKbps) {
+    // Spread the budget evenly; page headers and lacing come out of it first
+    const pageCount = Math.ceil(packetCount / 50);
+    const budget = sizeBytes - headerBytes - pageCount * 27;
+    const perPacket = budget / packetCount;
+    const lengthFor = (i) => Math.floor((i + 1) * perPacket) - Math.floor(i * perPacket);
+    packetLengths = Array.from({ length: packetCount }, (_, i) => {
+      const gross = lengthFor(i);
+      return Math.max(OPUS_MIN_PACKET, Math.min(OPUS_MAX_PACKET, gross - lacingValues(gross)));
+    });
+  } else {
+    const length = Math.max(OPUS_MIN_PACKET, Math.min(OPUS_MAX_PACKET, packetBytesFor(bitrateKbps || FORMATS.ogg.defaultBitrateKbps)));
+    packetLengths = new Array(packetCount).fill(length);
+  }
+  
+  // 50 packets (one second) per page
+  let audioBytes = 0;
+  for (let first = 0, sequence = pages.length; first < packetCount; first += 50, sequence++) {
+    const count = Math.min(50, packetCount - first);
+    const packets = packetLengths.slice(first, first + count).map(opusPacket);
+    const lastPage = first + count === packetCount;
+    const granule = lastPage
+      ? OPUS_PRE_SKIP + totalSamples
+      : (first + count) * OPUS_FRAME_SAMPLES;
+    audioBytes += totalLength(packets);
+    pages.push(oggPage({ packets, granule, sequence, flags: lastPage ? 0x04 : 0 }));
+  }
+  
+  return {
+    data: Buffer.concat(pages),
+    durationSeconds: totalSamples / OPUS_SAMPLE_RATE,
+    bitrateKbps: Math.round((audioBytes * 8) / (totalSamples / OPUS_SAMPLE_RATE) / 1000),
+    nonceOffset,
+    checksum: { type: 'ogg-page', offset: tagsPageOffset, length: tagsPage.length },
+  };
+}
+
+// --- Public API ---
+
+// Bytes the cover adds to a file of `format`
+function coverBytes(format, tags, cover) {
+  switch (format) {
+    case 'mp3':
+      return id3Tag(tags, 0, cover).data.length - id3Tag(tags).data.length;
+    case 'wav': {
+      const picture = id3PictureFrame(cover);
+      return riffChunk('id3 ', Buffer.concat([id3Header(picture.length), picture])).length;
+    }
+    case 'flac':
+      return 4 + flacPicture(cover).length;
+    case 'ogg': {
+      const tagsPages = (withCover) => oggHeaderPages(
+        Buffer.concat([Buffer.from('OpusTags', 'ascii'), vorbisCommentBlock(tags, withCover).data]),
+        1
+      );
+      return totalLength(tagsPages(cover)) - totalLength(tagsPages(null));
+    }
+  }
+}
+
+const GENERATORS = {
+  mp3: generateMp3,
+  wav: generateWav,
+  flac: generateFlac,
+  ogg: generateOgg,
+};
+
+/**
+ * Generate one audio file
+ *
+ * options:
+ * - format: mp3 | wav | flac | ogg
+ * - durationSeconds / sizeBytes: at least one of them
+ * - bitrateKbps: MP3 and Opus only (default: fitted to the size, else 320 / 256)
+ * - tags: { title, artist, album, albumArtist, trackNumber, trackTotal, year, genre, comment }
+ * - cover: embedded front cover, as returned by generateCover() (optional);
+ *   with only a size it comes on top of the size
+ *
+ * Returns { data, manifest }; the manifest is what the upload test needs to
+ * know about the file (see module comment).
+ */
+function generateAudio({ format, durationSeconds, sizeBytes, bitrateKbps, tags = {}, cover = null }) {
+  const generator = GENERATORS[format];
+  if (!generator) {
+    throw new Error(`Unknown audio format "${format}" (${Object.keys(GENERATORS).join(', ')})`);
+  }
+  if (!durationSeconds && !sizeBytes) {
+    throw new Error('generateAudio needs durationSeconds or sizeBytes');
+  }
+  
+  // The duration a size alone gives doesn't depend on the cover
+  if (cover && sizeBytes && !durationSeconds) {
+    sizeBytes += coverBytes(format, tags, cover);
+  }
+  
+  const result = generator({ durationSeconds, sizeBytes, bitrateKbps, tags, cover });
+  const sizeOff = result.data.length - sizeBytes;
+  if (durationSeconds && sizeBytes && Math.abs(sizeOff) > sizeBytes * SIZE_TOLERANCE) {
+    const reason = sizeOff > 0
+      ? `the audio${cover ? ' and cover' : ''} alone ${cover ? 'are' : 'is'} larger`
+      : 'the format can\'t be padded that far';
+    throw new Error(`${format}: ${durationSeconds}s can't be made ${sizeBytes} bytes, ${reason} (${result.data.length} bytes); change the duration or the size`);
+  }
+  const manifest = {
+    format,
+    extension: FORMATS[format].extension,
+    mimeType: FORMATS[format].mimeType,
+    sizeBytes: result.data.length,
+    durationSeconds: Math.round(result.durationSeconds * 1000) / 1000,
+    sampleRate: SAMPLE_RATE,
+    channels: CHANNELS,
+    bitrateKbps: result.bitrateKbps,
+    tags,
+    cover: cover
+      ? { mimeType: cover.mimeType, sizeBytes: cover.data.length, width: cover.width, height: cover.height }
+      : null,
+    nonceTag: NONCE_TAG,
+    nonceOffset: result.nonceOffset,
+    nonceLength: NONCE_LENGTH,
+    checksum: result.checksum || null,
+  };
+  
+  return { data: result.data, manifest };
+}
+
+module.exports = {
+  FORMATS,
+  generateAudio,
+};
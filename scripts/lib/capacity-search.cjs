@@ -0,0 +1,192 @@
+/**
+ * Breaking-point search for the capacity test
+ * 
+ * Drives k6/capacity.js at fixed load levels (VUs in the closed model,
+ * sessions per minute in the open model) to find the highest level that
+ * still meets every threshold in k6/config.js:
+ * 
+ * 1. Step: start at `start` and double until a level fails (or `max` passes)
+ * 2. Bisect between the last passing and the first failing level until the
+ *    gap is within `resolution`
+ * 
+ * In search mode the k6 thresholds abort on fail, so broken levels end early.
+ */
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { collectStats, samplesBetween } = require('./resource-monitor.cjs');
+const { writeResourceReport } = require('./report.cjs');
+const { createContractSampleCollector, writeContractSamples } = require('./contract-samples.cjs');
+
+// k6 exit code when thresholds were crossed (including abortOnFail)
+const K6_THRESHOLDS_FAILED = 99;
+
+function runK6(k6Cmd, args, cwd, contractSamples) {
+  return new Promise((resolve, reject) => {
+    console.log(`\n$ ${k6Cmd} ${args.join(' ')}`);
+    const proc = spawn(k6Cmd, args, { cwd, stdio: ['inherit', 'inherit', 'pipe'], shell: true });
+    contractSamples.attach(proc.stderr);
+    proc.on('close', resolve);
+    proc.on('error', reject);
+  });
+}
+
+function format(value, unit, digits = 0) {
+  return typeof value === 'number' ? `${value.toFixed(digits)}${unit}` : 'n/a';
+}
+
+/**
+ * Summarize one level from the k6 summary export and monitor samples
+ */
+function extractEvidence(summary, samples) {
+  const metrics = summary.metrics || {};
+  const value = (name, stat) => metrics[name]?.[stat];
+  
+  const failedThresholds = [];
+  const thresholds = {};
+  for (const [name, metric] of Object.entries(metrics)) {
+    for (const [expr, failed] of Object.entries(metric.thresholds || {})) {
+      // Pass-through thresholds (k6/lib/endpoints.js) only expose submetrics
+      if (expr.endsWith('>=0')) continue;
+      // --summary-export marks a threshold `true` when it failed
+      thresholds[`${name}: ${expr}`] = failed ? 'fail' : 'pass';
+      if (failed) failedThresholds.push(`${name} ${expr}`);
+    }
+  }
+  
+  const observed = {
+    apiP95: value('http_req_duration{type:api}', 'p(95)'),
+    streamTtfbP95: value('http_req_waiting{type:stream}', 'p(95)'),
+    errorRate: value('http_req_failed', 'value'),
+    requestRate: value('http_reqs', 'rate'),
+    droppedIterations: value('dropped_iterations', 'count') || 0,
+  };
+  
+  const m3w = collectStats(samples)['m3w'];
+  const resources = m3w ? {
+    cpuMax: Math.max(...m3w.cpuSamples),
+    cpuAvg: m3w.cpuSamples.reduce((a, b) => a + b, 0) / m3w.cpuSamples.length,
+    memMaxMB: Math.max(...m3w.memSamples),
+  } : null;
+  
+  const headline = [
+    `API p95=${format(observed.apiP95, 'ms')}`,
+    `TTFB p95=${format(observed.streamTtfbP95, 'ms')}`,
+    `errors=${format(observed.errorRate * 100, '%', 2)}`,
+    resources ? `M3W CPU max=${format(resources.cpuMax, '%', 1)} mem max=${format(resources.memMaxMB, 'MB')}` : '',
+  ].filter(Boolean).join(' | ');
+  
+  const lines = [
+    `API response p95:   ${format(observed.apiP95, 'ms')}`,
+    `Stream TTFB p95:    ${format(observed.streamTtfbP95, 'ms')}`,
+    `Error rate:         ${format(observed.errorRate * 100, '%', 2)}`,
+    `Request rate:       ${format(observed.requestRate, ' req/s', 1)}`,
+    `Dropped iterations: ${observed.droppedIterations}`,
+  ];
+  if (resources) {
+    lines.push(`M3W CPU avg/max:    ${format(resources.cpuAvg, '%', 1)} / ${format(resources.cpuMax, '%', 1)}`);
+    lines.push(`M3W memory max:     ${format(resources.memMaxMB, 'MB')}`);
+  }
+  lines.push(`Thresholds:         ${Object.keys(thresholds).length - failedThresholds.length}/${Object.keys(thresholds).length} passed`);
+  
+  return { observed, resources, thresholds, failedThresholds, headline, lines };
+}
+
+/**
+ * Create a probe(level) function that runs k6 at one load level
+ * Resolves to { level, passed, exitCode, summaryFile, evidence }
+ */
+function createCapacityProbe({ k6Cmd, cwd, outDir, monitor, hold, cooldownSeconds }) {
+  let probes = 0;
+  
+  return async function probe(level) {
+    if (probes++ > 0 && cooldownSeconds > 0) {
+      console.log(`\n   Cooling down ${cooldownSeconds}s before next level...`);
+      await new Promise(r => setTimeout(r, cooldownSeconds * 1000));
+    }
+    
+    console.log(`\n🔎 Probing level ${level}...`);
+    const summaryFile = path.join(outDir, `level-${level}.json`);
+    const levelDir = path.join(outDir, `level-${level}`);
+    fs.mkdirSync(levelDir, { recursive: true });
+    const startedAt = Date.now();
+    const contractSamples = createContractSampleCollector();
+    
+    const exitCode = await runK6(k6Cmd, [
+      'run', 'k6/capacity.js',
+      '--env', `SEARCH_LEVEL=${level}`,
+      '--env', `SEARCH_HOLD=${hold}`,
+      '--env', `RESULTS_DIR="${levelDir}"`,
+      '--summary-export', `"${summaryFile}"`,
+    ], cwd, contractSamples);
+    
+    if (exitCode !== 0 && exitCode !== K6_THRESHOLDS_FAILED) {
+      throw new Error(`k6 failed at level ${level} with code ${exitCode}`);
+    }
+    
+    const summary = fs.existsSync(summaryFile)
+      ? JSON.parse(fs.readFileSync(summaryFile, 'utf-8'))
+      : {};
+    const samples = samplesBetween(monitor.samples, startedAt, Date.now());
+    writeResourceReport(levelDir, samples);
+    writeContractSamples(levelDir, contractSamples);
+    
+    return {
+      level,
+      passed: exitCode === 0,
+      exitCode,
+      summaryFile: path.relative(cwd, summaryFile),
+      evidence: extractEvidence(summary, samples),
+    };
+  };
+}
+
+/**
+ * Step-then-bisect search
+ * Resolves to { best, firstFailure, history } where best is the highest
+ * passing probe result (null if the start level already failed)
+ */
+async function searchCapacity({ probe, start, max, resolution }) {
+  const history = [];
+  let best = null;
+  let firstFailure = null;
+  
+  // Step phase: double the level until something breaks
+  let level = Math.min(start, max);
+  while (true) {
+    const result = await probe(level);
+    history.push(result);
+    
+    if (!result.passed) {
+      firstFailure = result;
+      break;
+    }
+    best = result;
+    if (level >= max) break;
+    level = Math.min(level * 2, max);
+  }
+  
+  // Bisect phase: narrow the gap between last pass and first failure
+  while (firstFailure) {
+    const low = best ? best.level : 0;
+    const high = firstFailure.level;
+    level = Math.round((low + high) / 2);
+    if (high - low <= resolution || level <= low || level >= high) break;
+    
+    const result = await probe(level);
+    history.push(result);
+    if (result.passed) {
+      best = result;
+    } else {
+      firstFailure = result;
+    }
+  }
+  
+  return { best, firstFailure, history };
+}
+
+module.exports = {
+  searchCapacity,
+  createCapacityProbe,
+};
@@ -0,0 +1,92 @@
+/**
+ * Contract violation samples of a k6 run
+ *
+ * k6/lib/contracts.js logs the first few offending bodies per contract and
+ * VU. VUs share no state with handleSummary, so the runners read the samples
+ * back out of k6's log output (stderr, still passed through to the console)
+ * and add them to the run's summary.json as `contractSamples`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Samples kept per contract across all VUs
+const MAX_SAMPLES = 20;
+
+// logfmt line of a console.warn with its quoted message
+const LOG_MESSAGE = /\bmsg="((?:[^"\\]|\\.)*)"/;
+
+// Message written by logSample()
+const SAMPLE = /^Contract violation \[(\w+)\] (\S+) (\S+) \((\d+)\): (.*)\n([\s\S]*)$/;
+
+// Go-quoted string to text; \x, \a and \v are not valid JSON escapes
+function unquote(quoted) {
+  const json = quoted
+    .replace(/\\x([0-9a-fA-F]{2})/g, '\\u00$1')
+    .replace(/\\a/g, '\\u0007')
+    .replace(/\\v/g, '\\u000b');
+  try {
+    return JSON.parse(`"${json}"`);
+  } catch {
+    return quoted;
+  }
+}
+
+/**
+ * Collector for one k6 process: attach() tees its stderr to the console and
+ * picks up the samples; samples is { [contract]: [{ method, url, status,
+ * errors, body }] }
+ */
+function createContractSampleCollector() {
+  const samples = {};
+  let pending = '';
+  
+  function scanLine(line) {
+    const message = line.match(LOG_MESSAGE);
+    if (!message) return;
+    const match = unquote(message[1]).match(SAMPLE);
+    if (!match) return;
+    
+    const [, contract, method, url, status, errors, body] = match;
+    const kept = samples[contract] || (samples[contract] = []);
+    if (kept.length >= MAX_SAMPLES) return;
+    kept.push({ method, url, status: Number(status), errors: errors.split('; '), body });
+  }
+  
+  return {
+    samples,
+    attach(stream) {
+      stream.on('data', (chunk) => {
+        process.stderr.write(chunk);
+        const lines = (pending + chunk.toString()).split('\n');
+        pending = lines.pop();
+        lines.forEach(scanLine);
+      });
+      stream.on('end', () => {
+        if (pending) scanLine(pending);
+        pending = '';
+      });
+    },
+  };
+}
+
+/**
+ * Add the collected samples to <runDir>/summary.json
+ * Returns the number of samples written (0 when there were none or k6 left
+ * no summary)
+ */
+function writeContractSamples(runDir, collector) {
+  const summaryFile = path.join(runDir, 'summary.json');
+  const count = Object.values(collector.samples).reduce((sum, list) => sum + list.length, 0);
+  if (count === 0 || !fs.existsSync(summaryFile)) return 0;
+  
+  const summary = JSON.parse(fs.readFileSync(summaryFile, 'utf-8'));
+  summary.contractSamples = collector.samples;
+  fs.writeFileSync(summaryFile, JSON.stringify(summary, null, 2));
+  return count;
+}
+
+module.exports = {
+  createContractSampleCollector,
+  writeContractSamples,
+};
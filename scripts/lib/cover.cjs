@@ -0,0 +1,201 @@
+/**
+ * Cover art images for the audio fixtures
+ *
+ * Generates a valid JPEG or PNG of a requested byte size, so fixtures can
+ * carry artwork from a thumbnail up to oversized multi-MB covers and the
+ * server's artwork extraction runs on every upload.
+ *
+ * - JPEG: flat grey baseline image whose dimensions grow with the size (like
+ *   real photos); the entropy data is tiny, COM segments fill up to the size
+ * - PNG: RGB gradient stored uncompressed, so the size comes from the pixels;
+ *   a tEXt chunk makes up the last few bytes
+ */
+
+const zlib = require('zlib');
+
+const COVER_FORMATS = {
+  jpeg: { mimeType: 'image/jpeg' },
+  png: { mimeType: 'image/png' },
+};
+
+const MIN_COVER_BYTES = 1024;
+
+// --- JPEG ---
+
+// Largest COM segment: marker + 2 length bytes + 65533 bytes of text
+const JPEG_MAX_COM = 65537;
+
+function jpegSegment(marker, content) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(content.length + 2, 2);
+  return Buffer.concat([header, content]);
+}
+
+/**
+ * Baseline greyscale JPEG of width x height: every 8x8 block has DC 0 (mid
+ * grey) and no AC coefficients, coded with single-code Huffman tables
+ */
+function jpegImage(width, height) {
+  const jfif = Buffer.from([0x4a, 0x46, 0x49, 0x46, 0x00, 1, 1, 0, 0, 1, 0, 1, 0, 0]);
+  const quant = Buffer.concat([Buffer.from([0x00]), Buffer.alloc(64, 1)]);
+  
+  const frame = Buffer.alloc(9);
+  frame[0] = 8;                                // precision
+  frame.writeUInt16BE(height, 1);
+  frame.writeUInt16BE(width, 3);
+  frame[5] = 1;                                // components
+  frame[6] = 1;                                // component id
+  frame[7] = 0x11;                             // no subsampling
+  frame[8] = 0;                                // quantization table
+  
+  // One code of length 1 ('0'): DC category 0, AC end-of-block
+  const huffman = (tableClass) => {
+    const counts = Buffer.alloc(16);
+    counts[0] = 1;
+    return Buffer.concat([Buffer.from([tableClass << 4]), counts, Buffer.from([0x00])]);
+  };
+  
+  const scan = Buffer.from([1, 1, 0x00, 0, 63, 0]);
+  
+  // Two zero bits per block, padded with ones
+  const blocks = Math.ceil(width / 8) * Math.ceil(height / 8);
+  const bits = blocks * 2;
+  const entropy = Buffer.alloc(Math.ceil(bits / 8));
+  if (bits % 8 !== 0) {
+    entropy[entropy.length - 1] = 0xff >> (bits % 8);
+  }
+  
+  return {
+    head: [Buffer.from([0xff, 0xd8]), jpegSegment(0xe0, jfif)],
+    tail: [
+      jpegSegment(0xdb, quant),
+      jpegSegment(0xc0, frame),
+      jpegSegment(0xc4, huffman(0)),
+      jpegSegment(0xc4, huffman(1)),
+      jpegSegment(0xda, scan),
+      entropy,
+      Buffer.from([0xff, 0xd9]),
+    ],
+  };
+}
+
+// COM segments totalling `bytes` (a remainder under 4 bytes cannot be filled)
+function jpegPadding(bytes) {
+  const segments = [];
+  while (bytes >= 4) {
+    let length = Math.min(bytes, JPEG_MAX_COM);
+    if (bytes - length > 0 && bytes - length < 4) length -= 4;
+    segments.push(jpegSegment(0xfe, Buffer.alloc(length - 4, 0x20)));
+    bytes -= length;
+  }
+  return segments;
+}
+
+function generateJpeg(sizeBytes) {
+  // Real covers compress to roughly 0.5 bytes per pixel
+  const side = Math.max(64, Math.min(8192, Math.round(Math.sqrt(sizeBytes * 2))));
+  const { head, tail } = jpegImage(side, side);
+  const imageBytes = head.reduce((sum, b) => sum + b.length, 0) + tail.reduce((sum, b) => sum + b.length, 0);
+  
+  return {
+    data: Buffer.concat([...head, ...jpegPadding(sizeBytes - imageBytes), ...tail]),
+    width: side,
+    height: side,
+    depth: 8,
+  };
+}
+
+// --- PNG ---
+
+// CRC-32 as used by PNG and zlib (reflected, polynomial 0xedb88320)
+const PNG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let value = i;
+    for (let bit = 0; bit < 8; bit++) {
+      value = value & 1 ? 0xedb88320 ^ (value >>> 1) : value >>> 1;
+    }
+    table[i] = value >>> 0;
+  }
+  return table;
+})();
+
+function crc32(data) {
+  let value = 0xffffffff;
+  for (const byte of data) {
+    value = PNG_CRC_TABLE[(value ^ byte) & 0xff] ^ (value >>> 8);
+  }
+  return (value ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, content) {
+  const typeAndContent = Buffer.concat([Buffer.from(type, 'ascii'), content]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(content.length);
+  const checksum = Buffer.alloc(4);
+  checksum.writeUInt32BE(crc32(typeAndContent));
+  return Buffer.concat([length, typeAndContent, checksum]);
+}
+
+// Uncompressed (stored) zlib stream of an RGB gradient, filter type 0 per row
+function pngPixels(side) {
+  const row = 1 + side * 3;
+  const raw = Buffer.alloc(row * side);
+  for (let y = 0; y < side; y++) {
+    for (let x = 0; x < side; x++) {
+      const offset = y * row + 1 + x * 3;
+      raw[offset] = Math.floor((x * 255) / side);
+      raw[offset + 1] = Math.floor((y * 255) / side);
+      raw[offset + 2] = 0x80;
+    }
+  }
+  return zlib.deflateSync(raw, { level: 0 });
+}
+
+function generatePng(sizeBytes) {
+  // Signature, IHDR, IDAT and IEND framing, plus room for the tEXt chunk
+  const overhead = 8 + 25 + 12 + 12 + 20;
+  let side = Math.max(1, Math.floor(Math.sqrt((sizeBytes - overhead) / 3)));
+  let pixels = pngPixels(side);
+  while (side > 1 && overhead + pixels.length > sizeBytes) {
+    side--;
+    pixels = pngPixels(side);
+  }
+  
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(side, 0);
+  header.writeUInt32BE(side, 4);
+  header[8] = 8;                               // bit depth
+  header[9] = 2;                               // RGB
+  
+  const chunks = [Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), pngChunk('IHDR', header)];
+  const used = 8 + 25 + 12 + pixels.length + 12;
+  const keyword = Buffer.from('Comment\0', 'latin1');
+  if (sizeBytes - used >= 12 + keyword.length) {
+    chunks.push(pngChunk('tEXt', Buffer.concat([keyword, Buffer.alloc(sizeBytes - used - 12 - keyword.length, 0x20)])));
+  }
+  chunks.push(pngChunk('IDAT', pixels), pngChunk('IEND', Buffer.alloc(0)));
+  
+  return { data: Buffer.concat(chunks), width: side, height: side, depth: 24 };
+}
+
+/**
+ * Generate a cover image of `sizeBytes` (at least 1KB)
+ * Returns { data, format, mimeType, width, height, depth }
+ */
+function generateCover({ format = 'jpeg', sizeBytes }) {
+  if (!COVER_FORMATS[format]) {
+    throw new Error(`Unknown cover format "${format}" (${Object.keys(COVER_FORMATS).join(', ')})`);
+  }
+  if (!(sizeBytes >= MIN_COVER_BYTES)) {
+    throw new Error(`Cover size must be at least ${MIN_COVER_BYTES} bytes`);
+  }
+  
+  const image = format === 'jpeg' ? generateJpeg(sizeBytes) : generatePng(sizeBytes);
+  return { ...image, format, mimeType: COVER_FORMATS[format].mimeType };
+}
+
+module.exports = {
+  COVER_FORMATS,
+  generateCover,
+};
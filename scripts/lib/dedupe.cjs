@@ -0,0 +1,138 @@
+/**
+ * Storage checks for the upload dedupe mode
+ *
+ * k6/upload.js (UPLOAD_DUPLICATE_RATIO) uploads the same content repeatedly,
+ * by the same user and by different users. Afterwards the storage must hold
+ * each content once:
+ * - one `files` row per content hash
+ * - duplicate songs point at the same `files` row (and its reference count,
+ *   if the schema keeps one, matches the songs pointing at it)
+ * - one MinIO object per `files` row: the objects added during the run
+ *   equal the `files` rows left afterwards
+ *
+ * Column names are looked up in information_schema, so the checks name the
+ * missing column instead of failing on SQL errors.
+ */
+
+const { execSync } = require('child_process');
+
+const MINIO_CONTAINER = 'm3w-load-test-minio';
+const MINIO_BUCKET = 'm3w';
+
+/**
+ * Number of objects in the M3W bucket (via mc inside the MinIO container);
+ * with `incomplete`, the multipart uploads that were started but never
+ * completed or aborted instead
+ */
+function countBucketObjects(runtime, { incomplete = false } = {}) {
+  const flags = incomplete ? '--recursive --incomplete --json' : '--recursive --json';
+  const output = execSync(
+    `${runtime} exec ${MINIO_CONTAINER} mc ls ${flags} local/${MINIO_BUCKET}`,
+    { encoding: 'utf-8', timeout: 60000, maxBuffer: 256 * 1024 * 1024 }
+  );
+  
+  let count = 0;
+  for (const line of output.split('\n')) {
+    if (!line.trim()) continue;
+    const entry = JSON.parse(line);
+    if (entry.status === 'error') {
+      throw new Error(`mc ls failed: ${entry.error && entry.error.message}`);
+    }
+    if (entry.type === 'file') count++;
+  }
+  return count;
+}
+
+async function tableColumns(client, table) {
+  const result = await client.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_name = $1',
+    [table]
+  );
+  return new Set(result.rows.map(r => r.column_name));
+}
+
+function findColumn(columns, candidates) {
+  return candidates.find(name => columns.has(name)) || null;
+}
+
+/**
+ * Check `files` rows and MinIO objects after a dedupe run
+ *
+ * objectsBefore: countBucketObjects() taken after clearing songs/files and
+ * before k6 started. Returns { files, sharedFiles, maxSongsPerFile,
+ * objectsAdded, checks: [{ name, ok, message }] }.
+ */
+async function verifyDedupe(client, runtime, objectsBefore) {
+  const fileColumns = await tableColumns(client, 'files');
+  const songColumns = await tableColumns(client, 'songs');
+  const hashColumn = findColumn(fileColumns, ['hash', 'contentHash', 'sha256']);
+  const fileIdColumn = findColumn(songColumns, ['fileId', 'file_id']);
+  const refCountColumn = findColumn(fileColumns, ['refCount', 'ref_count', 'referenceCount']);
+  const checks = [];
+  
+  const files = (await client.query('SELECT COUNT(*)::int AS count FROM files')).rows[0].count;
+  
+  // One row per content hash
+  if (hashColumn) {
+    const duplicates = (await client.query(
+      `SELECT "${hashColumn}" AS hash, COUNT(*)::int AS rows FROM files GROUP BY "${hashColumn}" HAVING COUNT(*) > 1`
+    )).rows;
+    checks.push({
+      name: 'one files row per content hash',
+      ok: duplicates.length === 0,
+      message: duplicates.length === 0
+        ? `${files} files rows, all hashes distinct`
+        : `${duplicates.length} hashes with several rows (e.g. ${duplicates[0].hash}: ${duplicates[0].rows} rows)`,
+    });
+  } else {
+    checks.push({ name: 'one files row per content hash', ok: false, message: 'files has no hash column' });
+  }
+  
+  // Duplicate songs share a row; the row's reference count follows the songs
+  let sharedFiles = 0;
+  let maxSongsPerFile = 0;
+  if (fileIdColumn) {
+    const refCountSelect = refCountColumn ? `, f."${refCountColumn}"::int AS "refCount"` : '';
+    const rows = (await client.query(
+      `SELECT f.id, COUNT(s.id)::int AS songs${refCountSelect}
+       FROM files f LEFT JOIN songs s ON s."${fileIdColumn}" = f.id
+       GROUP BY f.id${refCountColumn ? `, f."${refCountColumn}"` : ''}`
+    )).rows;
+    sharedFiles = rows.filter(r => r.songs > 1).length;
+    maxSongsPerFile = rows.reduce((max, r) => Math.max(max, r.songs), 0);
+    
+    checks.push({
+      name: 'duplicate uploads share files rows',
+      ok: sharedFiles > 0,
+      message: `${sharedFiles} files rows referenced by several songs (max ${maxSongsPerFile})`,
+    });
+    
+    if (refCountColumn) {
+      const mismatched = rows.filter(r => r.refCount !== r.songs);
+      checks.push({
+        name: 'files reference counts match songs',
+        ok: mismatched.length === 0,
+        message: mismatched.length === 0
+          ? `${rows.length} files rows checked`
+          : `${mismatched.length} rows off (e.g. ${mismatched[0].id}: ${refCountColumn}=${mismatched[0].refCount}, songs=${mismatched[0].songs})`,
+      });
+    }
+  } else {
+    checks.push({ name: 'duplicate uploads share files rows', ok: false, message: 'songs has no fileId column' });
+  }
+  
+  // Stored once: every object added during the run belongs to a remaining row
+  const objectsAdded = countBucketObjects(runtime) - objectsBefore;
+  checks.push({
+    name: 'one MinIO object per files row',
+    ok: objectsAdded === files,
+    message: `${objectsAdded} objects added for ${files} files rows`,
+  });
+  
+  return { files, sharedFiles, maxSongsPerFile, objectsAdded, checks };
+}
+
+module.exports = {
+  countBucketObjects,
+  verifyDedupe,
+};
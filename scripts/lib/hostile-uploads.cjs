@@ -0,0 +1,63 @@
+/**
+ * Results of the hostile upload mode
+ *
+ * k6/upload.js (UPLOAD_HOSTILE_RATIO) interleaves malformed uploads with the
+ * normal ones (see k6/lib/hostile.js). Its thresholds fail on any 5xx, hang
+ * or unexpected status, and on good uploads (input:valid) failing or slowing
+ * down; this reads those submetrics back out of summary.json for the console
+ * and hostile.json.
+ */
+
+const fs = require('fs');
+
+const CASE_METRIC = /^upload_hostile_mishandled\{case:(\w+)\}$/;
+
+/**
+ * Per case { uploads, mishandled, avgMs, p95Ms, maxMs } plus the totals
+ * { uploads, mishandled, serverErrors, hangs } and the good uploads
+ * { uploads, errorRate, p95Ms } (valid); null when the summary has no
+ * hostile metrics (k6 did not get far enough)
+ */
+function summarizeHostileUploads(summaryFile) {
+  if (!fs.existsSync(summaryFile)) return null;
+  const { metrics } = JSON.parse(fs.readFileSync(summaryFile, 'utf-8'));
+  if (!metrics) return null;
+  
+  const cases = {};
+  for (const [metric, data] of Object.entries(metrics)) {
+    const match = metric.match(CASE_METRIC);
+    if (!match) continue;
+    
+    const duration = metrics[`upload_hostile_duration{case:${match[1]}}`];
+    const d = duration ? duration.values : {};
+    cases[match[1]] = {
+      uploads: data.values.passes + data.values.fails,
+      mishandled: data.values.passes,
+      avgMs: d.avg,
+      p95Ms: d['p(95)'],
+      maxMs: d.max,
+    };
+  }
+  if (Object.keys(cases).length === 0) return null;
+  
+  const count = (name) => (metrics[name] ? metrics[name].values.count : 0);
+  const all = Object.values(cases);
+  const validErrors = metrics['upload_errors{input:valid}'];
+  const validDuration = metrics['upload_duration{input:valid}'];
+  return {
+    uploads: all.reduce((sum, c) => sum + c.uploads, 0),
+    mishandled: all.reduce((sum, c) => sum + c.mishandled, 0),
+    serverErrors: count('upload_hostile_server_errors'),
+    hangs: count('upload_hostile_hangs'),
+    valid: {
+      uploads: validErrors ? validErrors.values.passes + validErrors.values.fails : 0,
+      errorRate: validErrors ? validErrors.values.rate : null,
+      p95Ms: validDuration ? validDuration.values['p(95)'] : null,
+    },
+    cases,
+  };
+}
+
+module.exports = {
+  summarizeHostileUploads,
+};
@@ -0,0 +1,162 @@
+/**
+ * JUnit XML reports for CI pipelines
+ *
+ * A runner creates one report per invocation and records into it:
+ * - runner steps (containers up, seed, k6, cleanup, ...) with their duration
+ *   and error message when they fail
+ * - every k6 threshold from a summary.json (k6/lib/report.js), failing with
+ *   the observed value
+ * - every named k6 check, failing when any of its runs failed
+ *
+ * Each group of cases becomes a <testsuite>; write() renders them into one
+ * <testsuites> document.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function renderCase(suite, testCase) {
+  const attrs = `classname="${escapeXml(suite.name)}" name="${escapeXml(testCase.name)}" time="${testCase.time.toFixed(3)}"`;
+  if (testCase.failure) {
+    const { message, details } = testCase.failure;
+    return `    <testcase ${attrs}>\n      <failure message="${escapeXml(message)}">${escapeXml(details || message)}</failure>\n    </testcase>`;
+  }
+  if (testCase.skipped) {
+    return `    <testcase ${attrs}>\n      <skipped message="${escapeXml(testCase.skipped)}"/>\n    </testcase>`;
+  }
+  return `    <testcase ${attrs}/>`;
+}
+
+function renderSuite(suite) {
+  const failures = suite.cases.filter(c => c.failure).length;
+  const skipped = suite.cases.filter(c => c.skipped).length;
+  const time = suite.cases.reduce((sum, c) => sum + c.time, 0);
+  return [
+    `  <testsuite name="${escapeXml(suite.name)}" tests="${suite.cases.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${time.toFixed(3)}" timestamp="${suite.timestamp}">`,
+    ...suite.cases.map(c => renderCase(suite, c)),
+    '  </testsuite>',
+  ].join('\n');
+}
+
+/**
+ * Create a report for one runner invocation (e.g. 'capacity', 'upload')
+ */
+function createJUnitReport(name) {
+  const suites = [];
+  
+  function suite(suiteName) {
+    let found = suites.find(s => s.name === suiteName);
+    if (!found) {
+      found = { name: suiteName, timestamp: new Date().toISOString().replace(/\.\d+Z$/, ''), cases: [] };
+      suites.push(found);
+    }
+    return found;
+  }
+  
+  /**
+   * Add a test case to a suite; `failure` is { message, details } or omitted
+   */
+  function addCase(suiteName, { name: caseName, time = 0, failure, skipped }) {
+    suite(suiteName).cases.push({ name: caseName, time, failure, skipped });
+  }
+  
+  /**
+   * Run a runner step and record it in `<name> steps`. Resolves to the
+   * step's result; a failing step is recorded and rethrown.
+   */
+  async function step(stepName, fn) {
+    const started = Date.now();
+    try {
+      const result = await fn();
+      addCase(`${name} steps`, { name: stepName, time: (Date.now() - started) / 1000 });
+      return result;
+    } catch (error) {
+      addCase(`${name} steps`, {
+        name: stepName,
+        time: (Date.now() - started) / 1000,
+        failure: { message: error.message },
+      });
+      throw error;
+    }
+  }
+  
+  // Record a step that did not run
+  function skip(stepName, reason) {
+    addCase(`${name} steps`, { name: stepName, skipped: reason });
+  }
+  
+  /**
+   * Add the thresholds and checks of a k6 summary.json as
+   * `<label> thresholds` and `<label> checks` (label defaults to the test name)
+   */
+  function addSummary(summaryFile, label) {
+    if (!fs.existsSync(summaryFile)) {
+      addCase(`${label || name} thresholds`, {
+        name: 'k6 summary',
+        failure: { message: `k6 wrote no summary (${path.basename(summaryFile)} missing)` },
+      });
+      return;
+    }
+    
+    const summary = JSON.parse(fs.readFileSync(summaryFile, 'utf-8'));
+    const prefix = label || summary.test;
+    
+    for (const t of summary.thresholds) {
+      addCase(`${prefix} thresholds`, {
+        name: `${t.metric}: ${t.threshold}`,
+        failure: t.ok ? undefined : {
+          message: `${t.threshold} not met: observed ${t.stat || 'value'}=${t.observed}`,
+          details: `${t.metric}\n  threshold: ${t.threshold}\n  observed:  ${t.stat || 'value'}=${t.observed}`,
+        },
+      });
+    }
+    
+    for (const c of summary.checks || []) {
+      const total = c.passes + c.fails;
+      const group = c.group ? `${c.group.replace(/^::/, '').replace(/::/g, ' / ')} / ` : '';
+      addCase(`${prefix} checks`, {
+        name: `${group}${c.name}`,
+        failure: c.fails === 0 ? undefined : {
+          message: `${c.fails} of ${total} failed (${((c.fails / total) * 100).toFixed(2)}%)`,
+        },
+      });
+    }
+  }
+  
+  /**
+   * Write the report; returns the number of failed cases
+   */
+  function write(file) {
+    const all = suites.flatMap(s => s.cases);
+    const failures = all.filter(c => c.failure).length;
+    const skipped = all.filter(c => c.skipped).length;
+    const time = all.reduce((sum, c) => sum + c.time, 0);
+    
+    const xml = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="${escapeXml(`M3W load test: ${name}`)}" tests="${all.length}" failures="${failures}" errors="0" skipped="${skipped}" time="${time.toFixed(3)}">`,
+      ...suites.map(renderSuite),
+      '</testsuites>',
+      '',
+    ].join('\n');
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, xml);
+    return failures;
+  }
+  
+  return { step, skip, addCase, addSummary, write };
+}
+
+module.exports = {
+  createJUnitReport,
+};
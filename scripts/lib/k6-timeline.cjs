@@ -0,0 +1,93 @@
+/**
+ * Time series from k6 JSON output
+ * 
+ * k6's end-of-test summary has no notion of time, so runners that need
+ * latency over time (soak drift, spike recovery) run k6 with
+ * `--out json=<file>.gz` and bucket the metric points here. The file is
+ * streamed line by line, so multi-hour outputs never sit in memory.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const zlib = require('zlib');
+const { percentile } = require('./stats.cjs');
+
+/**
+ * Stream the Point entries of a k6 JSON output file (.gz supported)
+ * onPoint({ metric, time, value, tags }) is called for the given metrics
+ */
+async function readK6Points(file, metrics, onPoint) {
+  let input = fs.createReadStream(file);
+  if (file.endsWith('.gz')) {
+    input = input.pipe(zlib.createGunzip());
+  }
+  
+  const wanted = new Set(metrics);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  
+  for await (const line of lines) {
+    if (!line) continue;
+    
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue; // Truncated last line if k6 was interrupted
+    }
+    if (entry.type !== 'Point' || !wanted.has(entry.metric)) continue;
+    
+    onPoint({
+      metric: entry.metric,
+      time: Date.parse(entry.data.time),
+      value: entry.data.value,
+      tags: entry.data.tags || {},
+    });
+  }
+}
+
+/**
+ * Bucket request points into fixed windows
+ * Returns [{ time, count, p95, errorRate }] ordered by time, where time is
+ * the bucket start (ms since epoch). `filter(tags)` can exclude points.
+ */
+async function requestTimeline(file, { bucketSeconds = 60, filter = () => true } = {}) {
+  const bucketMs = bucketSeconds * 1000;
+  const buckets = new Map();
+  
+  const bucketFor = (time) => {
+    const start = Math.floor(time / bucketMs) * bucketMs;
+    if (!buckets.has(start)) {
+      buckets.set(start, { durations: [], failed: 0, total: 0 });
+    }
+    return buckets.get(start);
+  };
+  
+  await readK6Points(file, ['http_req_duration', 'http_req_failed'], (point) => {
+    if (!filter(point.tags)) return;
+    
+    const bucket = bucketFor(point.time);
+    if (point.metric === 'http_req_duration') {
+      bucket.durations.push(point.value);
+    } else {
+      bucket.total++;
+      bucket.failed += point.value;
+    }
+  });
+  
+  return [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([time, bucket]) => {
+      const sorted = bucket.durations.sort((a, b) => a - b);
+      return {
+        time,
+        count: sorted.length,
+        p95: percentile(sorted, 95),
+        errorRate: bucket.total > 0 ? bucket.failed / bucket.total : 0,
+      };
+    });
+}
+
+module.exports = {
+  readK6Points,
+  requestTimeline,
+};
@@ -0,0 +1,102 @@
+/**
+ * Run directories and resource charts for the k6 reports
+ *
+ * Each runner creates a timestamped run directory under results/ and passes
+ * it to k6 as RESULTS_DIR, where handleSummary (k6/lib/report.js) writes
+ * summary.json and report.html. After the run the monitor samples are saved
+ * next to them and drawn into the report's resource placeholder as inline
+ * SVG, so the HTML stays self-contained.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectStats } = require('./resource-monitor.cjs');
+
+// Placeholder written by k6/lib/report.js
+const CHARTS_PATTERN = /<!-- RESOURCE_CHARTS -->[\s\S]*?<!-- \/RESOURCE_CHARTS -->/;
+
+const CHART_WIDTH = 720;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 40;
+
+/**
+ * Create results/<test>-<timestamp>/ and return its absolute path
+ */
+function createRunDir(projectRoot, test) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const runDir = path.join(projectRoot, 'results', `${test}-${timestamp}`);
+  fs.mkdirSync(runDir, { recursive: true });
+  return runDir;
+}
+
+// One line chart as inline SVG; points are [{ x: seconds, y }]
+function lineChart(title, unit, points) {
+  const maxX = Math.max(1, ...points.map(p => p.x));
+  const maxY = Math.max(1, ...points.map(p => p.y));
+  const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+  const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+  
+  const coords = points
+    .map(p => {
+      const x = CHART_PADDING + (p.x / maxX) * plotWidth;
+      const y = CHART_PADDING + plotHeight - (p.y / maxY) * plotHeight;
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    })
+    .join(' ');
+  
+  const bottom = CHART_PADDING + plotHeight;
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${CHART_HEIGHT}" font-size="11" font-family="sans-serif">
+  <text x="${CHART_PADDING}" y="20" font-weight="bold">${title}</text>
+  <line x1="${CHART_PADDING}" y1="${CHART_PADDING}" x2="${CHART_PADDING}" y2="${bottom}" stroke="#999"/>
+  <line x1="${CHART_PADDING}" y1="${bottom}" x2="${CHART_WIDTH - CHART_PADDING}" y2="${bottom}" stroke="#999"/>
+  <text x="${CHART_PADDING - 4}" y="${CHART_PADDING + 4}" text-anchor="end">${maxY.toFixed(0)}${unit}</text>
+  <text x="${CHART_PADDING - 4}" y="${bottom}" text-anchor="end">0</text>
+  <text x="${CHART_WIDTH - CHART_PADDING}" y="${bottom + 16}" text-anchor="end">${maxX.toFixed(0)}s</text>
+  <polyline fill="none" stroke="#0969da" stroke-width="1.5" points="${coords}"/>
+</svg>`;
+}
+
+/**
+ * CPU and memory charts per container, as an HTML fragment
+ */
+function resourceChartsHtml(samples) {
+  if (samples.length === 0) {
+    return '<p class="muted">No resource samples collected</p>';
+  }
+  
+  const start = samples[0].timestamp;
+  const charts = [];
+  for (const name of Object.keys(collectStats(samples))) {
+    const series = samples
+      .filter(s => s.containers[name])
+      .map(s => ({ x: (s.timestamp - start) / 1000, ...s.containers[name] }));
+    
+    charts.push(`<h3>${name}</h3>`);
+    charts.push(lineChart(`${name} CPU`, '%', series.map(s => ({ x: s.x, y: s.cpu }))));
+    charts.push(lineChart(`${name} memory`, 'MB', series.map(s => ({ x: s.x, y: s.memMB }))));
+  }
+  return charts.join('\n');
+}
+
+/**
+ * Save monitor samples to the run directory and draw them into report.html
+ * (if k6 wrote one). Returns the path of resources.json.
+ */
+function writeResourceReport(runDir, samples) {
+  const resourcesFile = path.join(runDir, 'resources.json');
+  fs.writeFileSync(resourcesFile, JSON.stringify({ samples }, null, 2));
+  
+  const reportFile = path.join(runDir, 'report.html');
+  if (fs.existsSync(reportFile)) {
+    const html = fs.readFileSync(reportFile, 'utf-8');
+    fs.writeFileSync(reportFile, html.replace(CHARTS_PATTERN, () => resourceChartsHtml(samples)));
+  }
+  
+  return resourcesFile;
+}
+
+module.exports = {
+  createRunDir,
+  resourceChartsHtml,
+  writeResourceReport,
+};
@@ -0,0 +1,122 @@
+/**
+ * Container resource sampler shared by the test runners
+ * 
+ * Polls `<runtime> stats` every 2 seconds for the m3w-load-test containers
+ * and keeps the samples in memory. Each sample carries both the offset from
+ * monitor start (`timestamp`) and wall-clock time (`time`), so samples can be
+ * lined up with k6 results.
+ *
+ * `<runtime> stats --no-stream` takes a second or two, so it runs as a child
+ * process without blocking the event loop: the runners drive sockets from the
+ * same process (throttling proxy, aborted uploads) whose pacing and timings
+ * must not stall while a sample is taken.
+ */
+
+const { exec } = require('child_process');
+
+function parseMemoryMB(value, unit) {
+  const unitLower = unit.toLowerCase();
+  if (unitLower.includes('gib') || unitLower.includes('gb')) return value * 1024;
+  if (unitLower.includes('mib') || unitLower.includes('mb')) return value;
+  if (unitLower.includes('kib') || unitLower.includes('kb')) return value / 1024;
+  return value;
+}
+
+function parseContainers(output) {
+  const containers = {};
+  for (const line of output.trim().split('\n')) {
+    if (!line.includes('m3w-load-test')) continue;
+    
+    const parts = line.split('\t');
+    if (parts.length < 3) continue;
+    
+    const name = parts[0].replace('m3w-load-test-', '').replace('m3w-load-test', 'm3w');
+    const cpuMatch = parts[1].match(/([\d.]+)/);
+    const cpu = cpuMatch ? parseFloat(cpuMatch[1]) : 0;
+    
+    const memMatch = parts[2].match(/([\d.]+)(\w+)/);
+    const memMB = memMatch ? parseMemoryMB(parseFloat(memMatch[1]), memMatch[2]) : 0;
+    
+    containers[name] = { cpu, memMB };
+  }
+  return containers;
+}
+
+// Resolves to { name: { cpu, memMB } } of the m3w-load-test containers
+function sampleContainers(runtime) {
+  return new Promise((resolve, reject) => {
+    exec(
+      `${runtime} stats --no-stream --format "{{.Name}}\t{{.CPUPerc}}\t{{.MemUsage}}"`,
+      { encoding: 'utf-8', timeout: 5000 },
+      (err, stdout) => (err ? reject(err) : resolve(parseContainers(stdout)))
+    );
+  });
+}
+
+/**
+ * Start sampling; returns { samples, startTime, stop() }
+ *
+ * `annotate()`, if given, returns extra fields merged into every sample
+ * (e.g. the throttling proxy's open connections at that moment).
+ */
+function startResourceMonitor(runtime, intervalMs = 2000, annotate = null) {
+  const samples = [];
+  const startTime = Date.now();
+  let sampling = false;
+  let stopped = false;
+  
+  const interval = setInterval(async () => {
+    // A slow `stats` call skips ticks instead of piling up processes
+    if (sampling) return;
+    sampling = true;
+    try {
+      const containers = await sampleContainers(runtime);
+      if (!stopped && Object.keys(containers).length > 0) {
+        const time = Date.now();
+        samples.push({ timestamp: time - startTime, time, containers, ...(annotate ? annotate() : {}) });
+      }
+    } catch (e) {
+      // Container might not be ready or stopping
+    } finally {
+      sampling = false;
+    }
+  }, intervalMs);
+  
+  return {
+    samples,
+    startTime,
+    stop() {
+      stopped = true;
+      clearInterval(interval);
+      return samples;
+    },
+  };
+}
+
+/**
+ * Group samples per container: { name: { cpuSamples, memSamples } }
+ */
+function collectStats(samples) {
+  const stats = {};
+  for (const sample of samples) {
+    for (const [name, data] of Object.entries(sample.containers)) {
+      if (!stats[name]) {
+        stats[name] = { cpuSamples: [], memSamples: [] };
+      }
+      stats[name].cpuSamples.push(data.cpu);
+      stats[name].memSamples.push(data.memMB);
+    }
+  }
+  return stats;
+}
+
+// Samples taken between two wall-clock times
+function samplesBetween(samples, from, to) {
+  return samples.filter(s => s.time >= from && s.time <= to);
+}
+
+module.exports = {
+  startResourceMonitor,
+  collectStats,
+  samplesBetween,
+};
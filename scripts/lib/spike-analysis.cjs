@@ -0,0 +1,143 @@
+/**
+ * Per-spike recovery analysis for k6/spike.js
+ *
+ * The spike script tags every request with `spike` (1..n) and `spike_phase`
+ * (baseline, spike, recovery). For each spike this compares the recovery
+ * window against the baseline that preceded it:
+ * - latency/error recovery: time from the end of the spike until every
+ *   following bucket is back within tolerance of the baseline
+ * - memory: whether M3W memory at the end of the recovery window is back
+ *   near its pre-spike level
+ */
+
+const { readK6Points } = require('./k6-timeline.cjs');
+const { average, percentile } = require('./stats.cjs');
+
+// Error rate allowed above baseline before a bucket counts as degraded
+const ERROR_RATE_TOLERANCE = 0.01;
+
+// Tail of the recovery window used for the "memory after" reading
+const MEMORY_SETTLE_MS = 30 * 1000;
+
+function newPhase() {
+  return { durations: [], failures: [], start: Infinity, end: -Infinity };
+}
+
+function summarize(durations, failures) {
+  const sorted = durations.map(d => d.value).sort((a, b) => a - b);
+  const failed = failures.reduce((sum, f) => sum + f.value, 0);
+  return {
+    count: sorted.length,
+    p95: percentile(sorted, 95),
+    errorRate: failures.length > 0 ? failed / failures.length : 0,
+  };
+}
+
+/**
+ * Time (seconds after `from`) from which every bucket stays healthy,
+ * or null when the window ends still degraded
+ */
+function recoveryTime(phase, from, bucketSeconds, isHealthy) {
+  const bucketMs = bucketSeconds * 1000;
+  const buckets = new Map();
+  
+  const bucketFor = (time) => {
+    const index = Math.max(0, Math.floor((time - from) / bucketMs));
+    if (!buckets.has(index)) buckets.set(index, { durations: [], failures: [] });
+    return buckets.get(index);
+  };
+  phase.durations.forEach(d => bucketFor(d.time).durations.push(d));
+  phase.failures.forEach(f => bucketFor(f.time).failures.push(f));
+  
+  const ordered = [...buckets.entries()].sort((a, b) => a[0] - b[0]);
+  let recoveredAt = 0;
+  for (const [index, bucket] of ordered) {
+    if (!isHealthy(summarize(bucket.durations, bucket.failures))) {
+      recoveredAt = index + 1;
+    }
+  }
+  
+  const lastIndex = ordered.length > 0 ? ordered[ordered.length - 1][0] : -1;
+  return recoveredAt > lastIndex ? null : recoveredAt * bucketSeconds;
+}
+
+function memoryBetween(samples, from, to) {
+  return samples
+    .filter(s => s.time >= from && s.time <= to && s.containers.m3w)
+    .map(s => s.containers.m3w.memMB);
+}
+
+/**
+ * Analyse a spike run
+ * pointsFile: k6 `--out json` output, samples: resource monitor samples
+ * Returns [{ spike, baseline, peak, recovery, memory }] ordered by spike;
+ * a spike missing samples in one of its phases (e.g. the run was stopped
+ * mid-spike) is returned as { spike, skipped } instead
+ */
+async function analyzeSpikes(pointsFile, samples, options = {}) {
+  const {
+    bucketSeconds = 5,
+    latencyTolerance = 0.25,
+    memoryTolerance = 0.1,
+  } = options;
+  
+  const spikes = new Map();
+  await readK6Points(pointsFile, ['http_req_duration', 'http_req_failed'], (point) => {
+    const { spike, spike_phase: phaseName } = point.tags;
+    if (!spike || !phaseName) return;
+    
+    if (!spikes.has(spike)) {
+      spikes.set(spike, { baseline: newPhase(), spike: newPhase(), recovery: newPhase() });
+    }
+    const phase = spikes.get(spike)[phaseName];
+    if (!phase) return;
+    
+    phase.start = Math.min(phase.start, point.time);
+    phase.end = Math.max(phase.end, point.time);
+    const entry = { time: point.time, value: point.value };
+    if (point.metric === 'http_req_duration') {
+      phase.durations.push(entry);
+    } else {
+      phase.failures.push(entry);
+    }
+  });
+  
+  return [...spikes.entries()]
+    .sort((a, b) => Number(a[0]) - Number(b[0]))
+    .map(([spike, phases]) => {
+      const empty = Object.keys(phases).filter(name => phases[name].durations.length === 0);
+      if (empty.length > 0) {
+        return { spike: Number(spike), skipped: `no samples in ${empty.join(', ')}` };
+      }
+      
+      const baseline = summarize(phases.baseline.durations, phases.baseline.failures);
+      const peak = summarize(phases.spike.durations, phases.spike.failures);
+      
+      const p95Limit = baseline.p95 * (1 + latencyTolerance);
+      const errorLimit = baseline.errorRate + ERROR_RATE_TOLERANCE;
+      const spikeEnd = phases.spike.end;
+      
+      const recovery = {
+        ...summarize(phases.recovery.durations, phases.recovery.failures),
+        latencySeconds: recoveryTime(phases.recovery, spikeEnd, bucketSeconds, (b) => b.p95 <= p95Limit),
+        errorSeconds: recoveryTime(phases.recovery, spikeEnd, bucketSeconds, (b) => b.errorRate <= errorLimit),
+      };
+      
+      const before = memoryBetween(samples, phases.baseline.start, phases.baseline.end);
+      const during = memoryBetween(samples, phases.spike.start, phases.spike.end);
+      const after = memoryBetween(samples, phases.recovery.end - MEMORY_SETTLE_MS, phases.recovery.end);
+      const memory = {
+        beforeMB: average(before),
+        peakMB: during.length > 0 ? Math.max(...during) : 0,
+        afterMB: average(after),
+      };
+      memory.returned = before.length > 0 && after.length > 0
+        && memory.afterMB <= memory.beforeMB * (1 + memoryTolerance);
+      
+      return { spike: Number(spike), baseline, peak, recovery, memory };
+    });
+}
+
+module.exports = {
+  analyzeSpikes,
+};
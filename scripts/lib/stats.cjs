@@ -0,0 +1,48 @@
+/**
+ * Small statistics helpers for result analysis
+ */
+
+function average(arr) {
+  return arr.length > 0 ? arr.reduce((a, b) => a + b, 0) / arr.length : 0;
+}
+
+function percentile(sortedArr, p) {
+  if (sortedArr.length === 0) return 0;
+  const index = Math.ceil((p / 100) * sortedArr.length) - 1;
+  return sortedArr[Math.max(0, index)];
+}
+
+/**
+ * Least-squares line through [{ x, y }]
+ * Returns { slope, intercept, r2, n } (slope 0 when there are < 2 points)
+ */
+function linearRegression(points) {
+  const n = points.length;
+  if (n < 2) {
+    return { slope: 0, intercept: n === 1 ? points[0].y : 0, r2: 0, n };
+  }
+  
+  const meanX = average(points.map(p => p.x));
+  const meanY = average(points.map(p => p.y));
+  
+  let sxx = 0;
+  let sxy = 0;
+  let syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - meanX) * (x - meanX);
+    sxy += (x - meanX) * (y - meanY);
+    syy += (y - meanY) * (y - meanY);
+  }
+  
+  const slope = sxx === 0 ? 0 : sxy / sxx;
+  const intercept = meanY - slope * meanX;
+  const r2 = sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+  
+  return { slope, intercept, r2, n };
+}
+
+module.exports = {
+  average,
+  percentile,
+  linearRegression,
+};
@@ -0,0 +1,209 @@
+/**
+ * Bandwidth-capped TCP proxy for the slow-client tests
+ *
+ * Listens on localhost and forwards every connection to the M3W server,
+ * pacing either direction per connection:
+ * - up (client to server): slow uploaders; every upload holds a server
+ *   socket and its stream buffers open as long as over a weak mobile link
+ * - down (server to client): slow consumers; the proxy reads responses no
+ *   faster than the link, so M3W has to hold back its stream from MinIO
+ *
+ * k6 uses the proxy as BASE_URL. The proxy only queues a few ticks of data
+ * per connection and pauses the sending side otherwise, so both k6 and M3W
+ * see real TCP backpressure instead of a fast local buffer.
+ */
+
+const net = require('net');
+
+const TICK_MS = 100;
+
+// Queued ticks per connection before the client is paused
+const QUEUE_TICKS = 4;
+
+// Pacing delays above this mean the proxy's event loop was blocked and the
+// uploads reached the server in bursts
+const MAX_TICK_LAG_MS = 500;
+
+// KB/s for a new connection: fixed, or uniform within [min, max]
+function connectionKbps(kbps) {
+  return Array.isArray(kbps) ? kbps[0] + Math.random() * (kbps[1] - kbps[0]) : kbps;
+}
+
+/**
+ * Forward `source` -> `sink`, paced to `kbps` KB/s (0: unthrottled) and
+ * counted in stats[counter], with the latest tick so far in
+ * stats.maxTickLagMs; returns a stop function
+ *
+ * When paced, stats[busyCounter] (if given) counts this direction while it
+ * holds data the link has not delivered yet.
+ */
+function pace(source, sink, kbps, stats, counter, busyCounter = null) {
+  if (!(kbps > 0)) {
+    source.on('data', (chunk) => {
+      stats[counter] += chunk.length;
+    });
+    source.pipe(sink);
+    return () => {};
+  }
+  
+  const bytesPerTick = Math.max(1, Math.round((kbps * 1024 * TICK_MS) / 1000));
+  const queue = [];
+  let queued = 0;
+  let sourceEnded = false;
+  let lastTick = Date.now();
+  let busy = false;
+  
+  const setBusy = (value) => {
+    if (!busyCounter || busy === value) return;
+    busy = value;
+    stats[busyCounter] += value ? 1 : -1;
+  };
+  
+  source.on('data', (chunk) => {
+    queue.push(chunk);
+    queued += chunk.length;
+    setBusy(true);
+    if (queued > bytesPerTick * QUEUE_TICKS) source.pause();
+  });
+  source.on('end', () => {
+    sourceEnded = true;
+  });
+  
+  const timer = setInterval(() => {
+    const now = Date.now();
+    stats.maxTickLagMs = Math.max(stats.maxTickLagMs, now - lastTick - TICK_MS);
+    lastTick = now;
+    
+    let budget = bytesPerTick;
+    while (budget > 0 && queue.length > 0) {
+      const chunk = queue[0];
+      const length = Math.min(chunk.length, budget);
+      sink.write(length === chunk.length ? queue.shift() : chunk.subarray(0, length));
+      if (length < chunk.length) queue[0] = chunk.subarray(length);
+      queued -= length;
+      budget -= length;
+    }
+    stats[counter] += bytesPerTick - budget;
+    if (queue.length === 0) setBusy(false);
+    
+    if (source.isPaused() && queued <= bytesPerTick * QUEUE_TICKS) source.resume();
+    if (sourceEnded && queue.length === 0) {
+      clearInterval(timer);
+      sink.end();
+    }
+  }, TICK_MS);
+  
+  return () => {
+    clearInterval(timer);
+    setBusy(false);
+  };
+}
+
+/**
+ * Start the proxy in front of target (e.g. 'http://localhost:4000')
+ *
+ * upKbps / downKbps: per-connection KB/s for each direction, a number or
+ * [min, max] to draw every connection's rate from (0: unthrottled).
+ * Resolves to { port, stats(), close() }; stats() returns { active,
+ * peakActive, responding, connections, upstreamErrors, bytesUp, bytesDown,
+ * maxTickLagMs }, where responding counts connections with a response in
+ * flight (data waiting at the throttled down link; idle keep-alive
+ * connections are only in active), upstreamErrors counts connections the
+ * server refused or reset and maxTickLagMs is how late a pacing tick fired
+ * at worst.
+ */
+function startThrottleProxy({ target, upKbps = 0, downKbps = 0, port = 0 }) {
+  const url = new URL(target);
+  const targetPort = parseInt(url.port) || 80;
+  const stats = { active: 0, peakActive: 0, responding: 0, connections: 0, upstreamErrors: 0, bytesUp: 0, bytesDown: 0, maxTickLagMs: 0 };
+  const sockets = new Set();
+  
+  const server = net.createServer({ allowHalfOpen: true }, (client) => {
+    const upstream = net.connect({ host: url.hostname, port: targetPort, allowHalfOpen: true });
+    sockets.add(client);
+    sockets.add(upstream);
+    stats.connections++;
+    stats.active++;
+    stats.peakActive = Math.max(stats.peakActive, stats.active);
+    
+    const stopUp = pace(client, upstream, connectionKbps(upKbps), stats, 'bytesUp');
+    const stopDown = pace(upstream, client, connectionKbps(downKbps), stats, 'bytesDown', 'responding');
+    
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      stopUp();
+      stopDown();
+      stats.active--;
+      client.destroy();
+      upstream.destroy();
+      sockets.delete(client);
+      sockets.delete(upstream);
+    };
+    client.on('error', close);
+    client.on('close', close);
+    upstream.on('error', () => {
+      if (!closed) stats.upstreamErrors++;
+      close();
+    });
+    upstream.on('close', close);
+  });
+  
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        stats: () => ({ ...stats }),
+        close() {
+          for (const socket of sockets) socket.destroy();
+          return new Promise(r => server.close(r));
+        },
+      });
+    });
+  });
+}
+
+/**
+ * How many slow uploads the server held before hitting a limit
+ *
+ * samples: monitor samples carrying `slow` (proxy stats at sample time).
+ * The limit is the first sample where M3W memory reached 90% of
+ * memLimitMB, or where the server started refusing or resetting
+ * connections. Returns { peakActive, tolerated, limit: { reason, active,
+ * memMB, timestamp } | null, maxTickLagMs, paced }, where tolerated is the
+ * highest concurrency seen before the limit and paced is false when the
+ * proxy's pacing stalled for more than MAX_TICK_LAG_MS.
+ */
+function slowUploadCapacity(samples, memLimitMB) {
+  const slowSamples = samples.filter(s => s.slow);
+  let tolerated = 0;
+  let limit = null;
+  
+  for (const sample of slowSamples) {
+    const memMB = sample.containers.m3w ? sample.containers.m3w.memMB : 0;
+    const reason = memMB >= memLimitMB * 0.9
+      ? 'memory'
+      : sample.slow.upstreamErrors > 0 ? 'connections' : null;
+    if (reason) {
+      limit = { reason, active: sample.slow.active, memMB, timestamp: sample.timestamp };
+      break;
+    }
+    tolerated = Math.max(tolerated, sample.slow.active);
+  }
+  
+  const maxTickLagMs = slowSamples.length > 0 ? slowSamples[slowSamples.length - 1].slow.maxTickLagMs : 0;
+  return {
+    peakActive: slowSamples.reduce((max, s) => Math.max(max, s.slow.active), 0),
+    tolerated,
+    limit,
+    maxTickLagMs,
+    paced: maxTickLagMs <= MAX_TICK_LAG_MS,
+  };
+}
+
+module.exports = {
+  startThrottleProxy,
+  slowUploadCapacity,
+};
@@ -16,10 +16,56 @@
  *   npm run test:full -- --podman        # Force use podman
  *   npm run test:full -- --docker        # Force use docker
  *   npm run test:full -- --skip-k6       # Skip k6 test (just verify setup)
+ *   npm run test:full -- --search        # Search for the breaking point instead of ramping
+ *   npm run test:full -- --soak          # Hours of steady load with leak detection
+ *   npm run test:full -- --spike         # Repeated load spikes with per-spike recovery
+ *   npm run test:full -- --slow-consumers  # Listeners reading through a throttled link (backpressure)
+ *   npm run test:full -- --junit <file>  # JUnit XML path (default: results/junit.xml)
+ * 
+ * The JUnit report has a test case per runner step, k6 threshold and k6 check.
+ * 
+ * Search options (with --search):
+ *   --search-start <n>        First load level (default: 50)
+ *   --search-max <n>          Highest level to try (default: 2000)
+ *   --search-resolution <n>   Stop bisecting when the pass/fail gap is this small (default: 25)
+ *   --search-hold <duration>  Time each level is held (default: 3m)
+ *   --search-cooldown <s>     Pause between levels in seconds (default: 30)
+ * 
+ * Levels are VUs for LOAD_MODEL=closed and sessions per minute for LOAD_MODEL=open.
+ * 
+ * Soak options (with --soak):
+ *   --soak-duration <duration>  How long to hold the load (default: 4h)
+ *   --soak-vus <n>              Steady VU count (default: 50)
+ *   --soak-warmup <minutes>     Start of the run excluded from trend fits (default: 10)
+ *   --max-mem-slope <MB/h>      Fail if M3W memory grows faster than this (default: 20)
+ *   --max-p95-slope <ms/h>      Fail if p95 latency drifts faster than this (default: 10)
+ * 
+ * Spike options (with --spike):
+ *   --spike-count <n>           Number of spikes (default: 3)
+ *   --spike-multiplier <n>      Peak load as a multiple of the baseline (default: 10)
+ *   --spike-base-vus <n>        Baseline VU count (default: 10)
+ *   --latency-tolerance <ratio> p95 counts as recovered within this ratio of baseline (default: 0.25)
+ *   --memory-tolerance <ratio>  Memory counts as returned within this ratio of pre-spike (default: 0.1)
+ * 
+ * Slow-consumer options (with --slow-consumers):
+ *   --consumer-kbps <min-max>   Per-stream read rate in KB/s, drawn per connection (default: 16-64)
+ *   --consumer-vus <n>          Concurrent listeners (default: 100)
+ *   --consumer-duration <dur>   Hold time at full listener count (default: 5m)
+ *   --max-stream-memory <ratio> Fail if M3W memory per open stream exceeds this share of a song (default: 0.5)
  */
 
 const { spawn, execSync } = require('child_process');
+const fs = require('fs');
 const path = require('path');
+const { startResourceMonitor, collectStats } = require('./lib/resource-monitor.cjs');
+const { searchCapacity, createCapacityProbe } = require('./lib/capacity-search.cjs');
+const { requestTimeline } = require('./lib/k6-timeline.cjs');
+const { linearRegression } = require('./lib/stats.cjs');
+const { analyzeSpikes } = require('./lib/spike-analysis.cjs');
+const { createRunDir, writeResourceReport } = require('./lib/report.cjs');
+const { createJUnitReport } = require('./lib/junit.cjs');
+const { startThrottleProxy } = require('./lib/throttle-proxy.cjs');
+const { createContractSampleCollector, writeContractSamples } = require('./lib/contract-samples.cjs');
 
 // Configuration
 const PROJECT_ROOT = path.join(__dirname, '..');
@@ -27,6 +73,23 @@ const KEEP_CONTAINERS = process.argv.includes('--keep');
 const SKIP_K6 = process.argv.includes('--skip-k6');
 const FORCE_PODMAN = process.argv.includes('--podman');
 const FORCE_DOCKER = process.argv.includes('--docker');
+const SEARCH = process.argv.includes('--search');
+const SOAK = process.argv.includes('--soak');
+const SPIKE = process.argv.includes('--spike');
+const SLOW_CONSUMERS = process.argv.includes('--slow-consumers');
+const MODE = SEARCH ? 'capacity-search' : SOAK ? 'soak' : SPIKE ? 'spike' : SLOW_CONSUMERS ? 'slow-consumer' : 'capacity';
+
+// Local port of the throttling proxy (--slow-consumers)
+const THROTTLE_PROXY_PORT = 4100;
+
+// Parse `--name value` argument
+function getArg(name, defaultValue) {
+  const idx = process.argv.indexOf(name);
+  if (idx !== -1 && process.argv[idx + 1]) {
+    return process.argv[idx + 1];
+  }
+  return defaultValue;
+}
 
 // Detect container runtime
 function detectRuntime() {
@@ -61,16 +124,18 @@ function getComposeCommand(runtime) {
   return 'docker compose';
 }
 
-function run(command, args = [], options = {}) {
+// `contractSamples`: collector (lib/contract-samples.cjs) fed from stderr
+function run(command, args = [], { contractSamples, ...options } = {}) {
   return new Promise((resolve, reject) => {
     console.log(`\n$ ${command} ${args.join(' ')}`);
     
     const proc = spawn(command, args, {
       cwd: PROJECT_ROOT,
-      stdio: 'inherit',
+      stdio: contractSamples ? ['inherit', 'inherit', 'pipe'] : 'inherit',
       shell: true,
       ...options,
     });
+    if (contractSamples) contractSamples.attach(proc.stderr);
     
     proc.on('close', (code) => {
       if (code === 0) {
@@ -84,6 +149,14 @@ function run(command, args = [], options = {}) {
   });
 }
 
+// Add the run's contract violation samples to its summary.json
+function saveContractSamples(runDir, contractSamples) {
+  const count = writeContractSamples(runDir, contractSamples);
+  if (count > 0) {
+    console.log(`   ${count} contract violation samples saved to ${path.relative(PROJECT_ROOT, runDir)}/summary.json`);
+  }
+}
+
 function runSync(command) {
   try {
     return execSync(command, { cwd: PROJECT_ROOT, encoding: 'utf-8' }).trim();
@@ -100,7 +173,6 @@ function findK6() {
   
   // On Windows, check common install locations
   if (process.platform === 'win32') {
-    const fs = require('fs');
     const commonPaths = [
       'C:\\Program Files\\k6\\k6.exe',
       'C:\\Program Files (x86)\\k6\\k6.exe',
@@ -137,6 +209,394 @@ async function waitForHealth(url, maxAttempts = 60, interval = 2000) {
   throw new Error(`Service did not become healthy within ${maxAttempts * interval / 1000}s`);
 }
 
+// Load .env.test into process.env
+function loadTestEnv() {
+  const envFile = path.join(PROJECT_ROOT, '.env.test');
+  if (fs.existsSync(envFile)) {
+    const envContent = fs.readFileSync(envFile, 'utf-8');
+    for (const line of envContent.split('\n')) {
+      const [key, ...valueParts] = line.split('=');
+      if (key && valueParts.length > 0) {
+        process.env[key.trim()] = valueParts.join('=').trim();
+      }
+    }
+  }
+}
+
+async function runCapacityTest(k6Cmd, runtime, junit) {
+  const runDir = createRunDir(PROJECT_ROOT, 'capacity');
+  
+  // Start resource monitor inline (no subprocess)
+  console.log('   Starting resource monitor...');
+  const monitor = startResourceMonitor(runtime);
+  
+  const contractSamples = createContractSampleCollector();
+  let monitorSamples;
+  try {
+    await run(k6Cmd, ['run', 'k6/capacity.js', '--env', `RESULTS_DIR="${runDir}"`], { contractSamples });
+  } finally {
+    // Stop monitor and chart the samples into the report, even when thresholds fail
+    monitorSamples = monitor.stop();
+    writeResourceReport(runDir, monitorSamples);
+    saveContractSamples(runDir, contractSamples);
+    junit.addSummary(path.join(runDir, 'summary.json'));
+    console.log(`\n   Report saved to: ${path.relative(PROJECT_ROOT, runDir)}/report.html`);
+  }
+  
+  console.log('\n\n📊 Resource usage summary:');
+  if (monitorSamples.length === 0) {
+    console.log('   (no samples collected)');
+    return;
+  }
+  
+  // Calculate statistics
+  const stats = collectStats(monitorSamples);
+  
+  const duration = monitorSamples[monitorSamples.length - 1].timestamp;
+  console.log(`   Duration: ${(duration / 1000).toFixed(1)}s | Samples: ${monitorSamples.length}`);
+  
+  for (const [name, data] of Object.entries(stats)) {
+    const cpuAvg = data.cpuSamples.reduce((a, b) => a + b, 0) / data.cpuSamples.length;
+    const cpuMax = Math.max(...data.cpuSamples);
+    const memAvg = data.memSamples.reduce((a, b) => a + b, 0) / data.memSamples.length;
+    const memMax = Math.max(...data.memSamples);
+    
+    console.log(`   ${name}: CPU avg=${cpuAvg.toFixed(1)}% max=${cpuMax.toFixed(1)}% | Mem avg=${memAvg.toFixed(0)}MB max=${memMax.toFixed(0)}MB`);
+  }
+  
+  // The level ramp doesn't reach a fixed peak, so nothing to extrapolate
+  // from; --search measures the breaking point
+  console.log('\n💡 Run with --search to measure the breaking point');
+}
+
+async function runCapacitySearch(k6Cmd, runtime, junit) {
+  const model = process.env.LOAD_MODEL || 'closed';
+  const unit = model === 'open' ? 'sessions/min' : 'VUs';
+  const options = {
+    start: parseInt(getArg('--search-start', '50')),
+    max: parseInt(getArg('--search-max', '2000')),
+    resolution: parseInt(getArg('--search-resolution', '25')),
+    hold: getArg('--search-hold', '3m'),
+    cooldownSeconds: parseInt(getArg('--search-cooldown', '30')),
+  };
+  
+  console.log(`   Searching breaking point (${model} model, levels in ${unit})`);
+  console.log(`   Start: ${options.start} | Max: ${options.max} | Resolution: ${options.resolution} | Hold: ${options.hold}`);
+  
+  const searchDir = createRunDir(PROJECT_ROOT, 'capacity-search');
+  
+  const monitor = startResourceMonitor(runtime);
+  const probe = createCapacityProbe({
+    k6Cmd,
+    cwd: PROJECT_ROOT,
+    outDir: searchDir,
+    monitor,
+    hold: options.hold,
+    cooldownSeconds: options.cooldownSeconds,
+  });
+  
+  let result;
+  try {
+    result = await searchCapacity({ ...options, probe });
+  } finally {
+    monitor.stop();
+  }
+  
+  console.log('\n\n📊 Breaking-point search results:');
+  for (const step of result.history) {
+    console.log(`   ${String(step.level).padStart(6)} ${unit}: ${step.passed ? '✅ pass' : '❌ fail'}  ${step.evidence.headline}`);
+  }
+  
+  if (result.best) {
+    // Failing levels are expected while searching; the pipeline sees the best one
+    junit.addSummary(path.join(searchDir, `level-${result.best.level}`, 'summary.json'), `capacity level ${result.best.level}`);
+    console.log(`\n💡 Highest sustained level meeting all SLOs: ${result.best.level} ${unit}`);
+    for (const line of result.best.evidence.lines) {
+      console.log(`   ${line}`);
+    }
+  } else {
+    junit.addCase('capacity-search steps', {
+      name: 'breaking point above start level',
+      failure: { message: `Even the starting level (${options.start} ${unit}) broke the SLOs` },
+    });
+    console.log(`\n⚠️  Even the starting level (${options.start} ${unit}) broke the SLOs`);
+  }
+  if (result.firstFailure) {
+    console.log(`   First failing level: ${result.firstFailure.level} ${unit} (${result.firstFailure.evidence.failedThresholds.join(', ') || 'aborted'})`);
+  } else {
+    console.log(`   No failure up to --search-max ${options.max} ${unit}`);
+  }
+  
+  fs.writeFileSync(
+    path.join(searchDir, 'search.json'),
+    JSON.stringify({ model, unit, options, ...result }, null, 2)
+  );
+  console.log(`\n   Search data saved to: ${path.relative(PROJECT_ROOT, searchDir)}/search.json`);
+}
+
+/**
+ * Soak run: steady load for hours, then fit trend lines to M3W memory and
+ * p95 latency. Returns false when either slope exceeds its limit.
+ */
+async function runSoakTest(k6Cmd, runtime, junit) {
+  const options = {
+    duration: getArg('--soak-duration', '4h'),
+    vus: parseInt(getArg('--soak-vus', '50')),
+    warmupMinutes: parseFloat(getArg('--soak-warmup', '10')),
+    maxMemSlope: parseFloat(getArg('--max-mem-slope', '20')),
+    maxP95Slope: parseFloat(getArg('--max-p95-slope', '10')),
+  };
+  
+  console.log(`   Soak: ${options.vus} VUs for ${options.duration} (warm-up ${options.warmupMinutes}min excluded from trends)`);
+  console.log(`   Limits: memory ${options.maxMemSlope}MB/h, p95 ${options.maxP95Slope}ms/h`);
+  
+  const runDir = createRunDir(PROJECT_ROOT, 'soak');
+  const pointsFile = path.join(runDir, 'points.json.gz');
+  
+  console.log('   Starting resource monitor...');
+  const monitor = startResourceMonitor(runtime);
+  const soakStart = Date.now();
+  
+  const contractSamples = createContractSampleCollector();
+  let k6Ok = true;
+  try {
+    await run(k6Cmd, [
+      'run', 'k6/soak.js',
+      '--env', `SOAK_DURATION=${options.duration}`,
+      '--env', `SOAK_VUS=${options.vus}`,
+      '--env', `RESULTS_DIR="${runDir}"`,
+      '--out', `json="${pointsFile}"`,
+    ], { contractSamples });
+  } catch (e) {
+    // Threshold failures fail the run, but still leave a full timeline
+    // worth analysing
+    k6Ok = false;
+    console.warn(`   ⚠️ k6 exited with error: ${e.message}`);
+  }
+  
+  const samples = monitor.stop();
+  writeResourceReport(runDir, samples);
+  saveContractSamples(runDir, contractSamples);
+  junit.addSummary(path.join(runDir, 'summary.json'));
+  const trendStart = soakStart + options.warmupMinutes * 60 * 1000;
+  const hoursSince = (time) => (time - trendStart) / 3600000;
+  
+  // Memory trend (M3W container)
+  const memPoints = samples
+    .filter(s => s.time >= trendStart && s.containers.m3w)
+    .map(s => ({ x: hoursSince(s.time), y: s.containers.m3w.memMB }));
+  const memFit = linearRegression(memPoints);
+  
+  // p95 latency trend (1-minute buckets of API requests)
+  console.log('\n   Analysing latency timeline...');
+  const timeline = fs.existsSync(pointsFile)
+    ? await requestTimeline(pointsFile, { bucketSeconds: 60, filter: (tags) => tags.type === 'api' })
+    : [];
+  const p95Points = timeline
+    .filter(b => b.time >= trendStart && b.count > 0)
+    .map(b => ({ x: hoursSince(b.time), y: b.p95 }));
+  const p95Fit = linearRegression(p95Points);
+  
+  const memOk = memFit.slope <= options.maxMemSlope;
+  const p95Ok = p95Fit.slope <= options.maxP95Slope;
+  
+  junit.addCase('soak trends', {
+    name: `M3W memory slope <= ${options.maxMemSlope}MB/h`,
+    failure: memOk ? undefined : { message: `observed ${memFit.slope.toFixed(2)}MB/h (r²=${memFit.r2.toFixed(2)})` },
+  });
+  junit.addCase('soak trends', {
+    name: `API p95 slope <= ${options.maxP95Slope}ms/h`,
+    failure: p95Ok ? undefined : { message: `observed ${p95Fit.slope.toFixed(2)}ms/h (r²=${p95Fit.r2.toFixed(2)})` },
+  });
+  
+  console.log('\n\n📊 Soak trend analysis:');
+  console.log(`   Samples: ${memPoints.length} memory, ${p95Points.length} latency buckets`);
+  console.log(`   M3W memory: ${memFit.slope.toFixed(2)}MB/h (limit ${options.maxMemSlope}, r²=${memFit.r2.toFixed(2)}) ${memOk ? '✅' : '❌'}`);
+  console.log(`   API p95:    ${p95Fit.slope.toFixed(2)}ms/h (limit ${options.maxP95Slope}, r²=${p95Fit.r2.toFixed(2)}) ${p95Ok ? '✅' : '❌'}`);
+  if (memPoints.length > 0) {
+    console.log(`   Memory start/end: ${memPoints[0].y.toFixed(0)}MB → ${memPoints[memPoints.length - 1].y.toFixed(0)}MB`);
+  }
+  
+  const resultFile = path.join(runDir, 'soak.json');
+  fs.writeFileSync(resultFile, JSON.stringify({
+    options,
+    k6: { passed: k6Ok },
+    memory: { fit: memFit, passed: memOk },
+    p95: { fit: p95Fit, passed: p95Ok },
+    timeline,
+  }, null, 2));
+  console.log(`\n   Soak data saved to: ${path.relative(PROJECT_ROOT, runDir)}/`);
+  
+  return k6Ok && memOk && p95Ok;
+}
+
+/**
+ * Spike run: repeated jumps from baseline to peak load, then per-spike
+ * recovery of latency, error rate and M3W memory
+ */
+async function runSpikeTest(k6Cmd, runtime, junit) {
+  const options = {
+    count: parseInt(getArg('--spike-count', '3')),
+    multiplier: parseInt(getArg('--spike-multiplier', '10')),
+    baseVUs: parseInt(getArg('--spike-base-vus', '10')),
+    latencyTolerance: parseFloat(getArg('--latency-tolerance', '0.25')),
+    memoryTolerance: parseFloat(getArg('--memory-tolerance', '0.1')),
+  };
+  
+  console.log(`   Spikes: ${options.count} x ${options.baseVUs} → ${options.baseVUs * options.multiplier} VUs`);
+  
+  const runDir = createRunDir(PROJECT_ROOT, 'spike');
+  const pointsFile = path.join(runDir, 'points.json.gz');
+  
+  console.log('   Starting resource monitor...');
+  const monitor = startResourceMonitor(runtime);
+  const contractSamples = createContractSampleCollector();
+  
+  try {
+    await run(k6Cmd, [
+      'run', 'k6/spike.js',
+      '--env', `SPIKE_COUNT=${options.count}`,
+      '--env', `SPIKE_MULTIPLIER=${options.multiplier}`,
+      '--env', `SPIKE_BASE_VUS=${options.baseVUs}`,
+      '--env', `RESULTS_DIR="${runDir}"`,
+      '--out', `json="${pointsFile}"`,
+    ], { contractSamples });
+  } catch (e) {
+    // Threshold failures during a spike are expected; recovery is what matters
+    console.warn(`   ⚠️ k6 exited with error: ${e.message}`);
+  }
+  
+  const samples = monitor.stop();
+  writeResourceReport(runDir, samples);
+  saveContractSamples(runDir, contractSamples);
+  junit.addSummary(path.join(runDir, 'summary.json'));
+  
+  console.log('\n   Analysing spike recovery...');
+  const spikes = fs.existsSync(pointsFile)
+    ? await analyzeSpikes(pointsFile, samples, options)
+    : [];
+  
+  const seconds = (value) => (value === null ? 'not recovered' : `${value}s`);
+  
+  console.log('\n\n📊 Spike recovery:');
+  for (const result of spikes) {
+    if (result.skipped) {
+      console.log(`\n   Spike ${result.spike}: ⚠️  not analysed (${result.skipped})`);
+      continue;
+    }
+    const { baseline, peak, recovery, memory } = result;
+    console.log(`\n   Spike ${result.spike}:`);
+    console.log(`     p95:        ${baseline.p95.toFixed(0)}ms → ${peak.p95.toFixed(0)}ms peak, recovered after ${seconds(recovery.latencySeconds)}`);
+    console.log(`     Error rate: ${(baseline.errorRate * 100).toFixed(2)}% → ${(peak.errorRate * 100).toFixed(2)}% peak, recovered after ${seconds(recovery.errorSeconds)}`);
+    console.log(`     M3W memory: ${memory.beforeMB.toFixed(0)}MB → ${memory.peakMB.toFixed(0)}MB peak → ${memory.afterMB.toFixed(0)}MB ${memory.returned ? '✅ returned' : '⚠️  still elevated'}`);
+  }
+  if (spikes.length === 0) {
+    console.log('   No spike data recorded');
+  }
+  
+  fs.writeFileSync(path.join(runDir, 'spike.json'), JSON.stringify({ options, spikes }, null, 2));
+  console.log(`\n   Spike data saved to: ${path.relative(PROJECT_ROOT, runDir)}/`);
+}
+
+/**
+ * Slow-consumer run: listeners read whole songs through the throttling
+ * proxy, then M3W memory is fitted against the number of open streams.
+ * Backpressure works when a stream costs far less memory than a song.
+ * Returns false when k6 fails, no stream completes or memory per stream
+ * exceeds the limit.
+ */
+async function runSlowConsumerTest(k6Cmd, runtime, junit) {
+  const [minKbps, maxKbps = minKbps] = getArg('--consumer-kbps', '16-64').split('-').map(parseFloat);
+  const options = {
+    minKbps,
+    maxKbps,
+    vus: parseInt(getArg('--consumer-vus', '100')),
+    duration: getArg('--consumer-duration', '5m'),
+    maxStreamMemory: parseFloat(getArg('--max-stream-memory', '0.5')),
+  };
+  
+  console.log(`   Slow consumers: ${options.vus} listeners at ${minKbps}-${maxKbps}KB/s for ${options.duration}`);
+  
+  const runDir = createRunDir(PROJECT_ROOT, 'slow-consumer');
+  const proxy = await startThrottleProxy({
+    target: process.env.BASE_URL || 'http://localhost:4000',
+    downKbps: [minKbps, maxKbps],
+    port: THROTTLE_PROXY_PORT,
+  });
+  console.log(`   Throttling proxy on :${proxy.port}`);
+  
+  console.log('   Starting resource monitor...');
+  // Streams: responses in flight, not idle keep-alive connections
+  const monitor = startResourceMonitor(runtime, 2000, () => ({ streams: proxy.stats().responding }));
+  
+  let k6Ok = true;
+  try {
+    await run(k6Cmd, [
+      'run', 'k6/slow-consumer.js',
+      '--env', `BASE_URL=http://localhost:${proxy.port}`,
+      '--env', `SLOW_CONSUMER_VUS=${options.vus}`,
+      '--env', `SLOW_CONSUMER_DURATION=${options.duration}`,
+      '--env', `SLOW_CONSUMER_MIN_KBPS=${minKbps}`,
+      '--env', `RESULTS_DIR="${runDir}"`,
+    ]);
+  } catch (e) {
+    // A failed threshold (e.g. slow_stream_errors) fails the run, but still
+    // leaves the memory samples worth analysing
+    k6Ok = false;
+    console.warn(`   ⚠️ k6 exited with error: ${e.message}`);
+  }
+  
+  const samples = monitor.stop();
+  await proxy.close();
+  writeResourceReport(runDir, samples);
+  const summaryFile = path.join(runDir, 'summary.json');
+  junit.addSummary(summaryFile);
+  
+  // M3W memory against open slow streams: the slope is memory per stream
+  const points = samples
+    .filter(s => s.containers.m3w)
+    .map(s => ({ x: s.streams, y: s.containers.m3w.memMB }));
+  const fit = linearRegression(points);
+  const peakStreams = points.reduce((max, p) => Math.max(max, p.x), 0);
+  
+  // Average song as streamed (k6 slow_stream_song_bytes)
+  const summary = fs.existsSync(summaryFile) ? JSON.parse(fs.readFileSync(summaryFile, 'utf-8')) : null;
+  const songMetric = summary && summary.metrics && summary.metrics['slow_stream_song_bytes'];
+  const songMB = songMetric && songMetric.values.avg > 0 ? songMetric.values.avg / 1024 / 1024 : null;
+  const streamShare = songMB !== null ? fit.slope / songMB : null;
+  // Without a completed stream there is nothing to compare against
+  const ok = streamShare !== null && streamShare <= options.maxStreamMemory;
+  
+  junit.addCase('slow-consumer backpressure', {
+    name: `M3W memory per slow stream <= ${options.maxStreamMemory} x song size`,
+    failure: ok ? undefined : {
+      message: songMB === null
+        ? 'no completed streams, song size unknown'
+        : `observed ${fit.slope.toFixed(2)}MB per stream for ${songMB.toFixed(2)}MB songs (r²=${fit.r2.toFixed(2)})`,
+    },
+  });
+  
+  console.log('\n\n📊 Slow-consumer backpressure:');
+  console.log(`   Samples: ${points.length} | Peak open streams: ${peakStreams}`);
+  console.log(`   M3W memory: ${fit.intercept.toFixed(0)}MB + ${fit.slope.toFixed(2)}MB per open stream (r²=${fit.r2.toFixed(2)})`);
+  if (songMB !== null) {
+    console.log(`   Average song: ${songMB.toFixed(2)}MB → ${(streamShare * 100).toFixed(0)}% of a song per stream (limit ${(options.maxStreamMemory * 100).toFixed(0)}%) ${ok ? '✅' : '❌'}`);
+    console.log(ok
+      ? '   Backpressure respected: slow clients hold buffers, not songs'
+      : '   ⚠️ Memory grows by about a song per slow client: streams are buffered, not backpressured');
+  } else {
+    console.log('   ❌ No completed streams - song size unknown, backpressure not measured');
+  }
+  
+  fs.writeFileSync(
+    path.join(runDir, 'slow-consumer.json'),
+    JSON.stringify({ options, k6Passed: k6Ok, peakStreams, fit, songMB, streamShare, passed: ok }, null, 2)
+  );
+  console.log(`\n   Slow-consumer data saved to: ${path.relative(PROJECT_ROOT, runDir)}/`);
+  
+  return k6Ok && ok;
+}
+
 async function main() {
   console.log('🚀 M3W Load Test - Full Test Runner');
   console.log('====================================');
@@ -152,26 +612,33 @@ async function main() {
   console.log(`\n📦 Using: ${runtime} (${compose})`);
   console.log(`   Keep containers: ${KEEP_CONTAINERS}`);
   console.log(`   Skip k6 test: ${SKIP_K6}`);
+  console.log(`   Mode: ${SEARCH ? 'breaking-point search' : SOAK ? 'soak' : SPIKE ? 'spike' : SLOW_CONSUMERS ? 'slow consumers' : 'capacity ramp'}`);
   
   let exitCode = 0;
+  let soakFailed = false;
+  let backpressureFailed = false;
+  const junit = createJUnitReport(MODE);
+  const junitFile = path.resolve(PROJECT_ROOT, getArg('--junit', path.join('results', 'junit.xml')));
   
   try {
     // Step 1: Start containers
     console.log('\n\n📦 Step 1: Starting containers...');
-    await run(compose, ['up', '-d']);
+    await junit.step('start containers', () => run(compose, ['up', '-d']));
     
     // Step 2: Wait for M3W to be healthy
     console.log('\n\n⏳ Step 2: Waiting for services...');
-    await waitForHealth('http://localhost:4000/health');
-    
-    // TODO: Switch to /ready endpoint once M3W image with #179 is released
-    // await waitForHealth('http://localhost:4000/ready', 60, 3000);
-    console.log('   Waiting for database migrations...');
-    await new Promise(r => setTimeout(r, 15000));
+    await junit.step('wait for services', async () => {
+      await waitForHealth('http://localhost:4000/health');
+      
+      // TODO: Switch to /ready endpoint once M3W image with #179 is released
+      // await waitForHealth('http://localhost:4000/ready', 60, 3000);
+      console.log('   Waiting for database migrations...');
+      await new Promise(r => setTimeout(r, 15000));
+    });
     
     // Step 3: Seed test data
     console.log('\n\n🌱 Step 3: Seeding test data...');
-    await run('node', ['scripts/seed.cjs']);
+    await junit.step('seed', () => run('node', ['scripts/seed.cjs']));
     
     // Step 4: Run k6 test
     if (!SKIP_K6) {
@@ -182,140 +649,46 @@ async function main() {
       if (!k6Cmd) {
         console.error('❌ k6 not found. Please run: npm run setup');
         console.log('   Skipping k6 test...');
+        junit.skip('k6 test', 'k6 not found');
       } else {
         const k6Version = runSync(`${k6Cmd} version`);
         console.log(`   k6 version: ${k6Version}`);
         
-        // Start resource monitor inline (no subprocess)
-        console.log('   Starting resource monitor...');
-        const fs = require('fs');
-        const monitorSamples = [];
-        const monitorStart = Date.now();
-        
-        const monitorInterval = setInterval(() => {
-          try {
-            const output = execSync(
-              `${runtime} stats --no-stream --format "{{.Name}}\t{{.CPUPerc}}\t{{.MemUsage}}"`,
-              { encoding: 'utf-8', timeout: 5000 }
-            );
-            
-            const timestamp = Date.now() - monitorStart;
-            const containers = {};
-            
-            for (const line of output.trim().split('\n')) {
-              if (!line.includes('m3w-load-test')) continue;
-              
-              const parts = line.split('\t');
-              if (parts.length < 3) continue;
-              
-              const name = parts[0].replace('m3w-load-test-', '').replace('m3w-load-test', 'm3w');
-              const cpuMatch = parts[1].match(/([\d.]+)/);
-              const cpu = cpuMatch ? parseFloat(cpuMatch[1]) : 0;
-              
-              const memMatch = parts[2].match(/([\d.]+)(\w+)/);
-              let memMB = 0;
-              if (memMatch) {
-                const val = parseFloat(memMatch[1]);
-                const unit = memMatch[2].toLowerCase();
-                if (unit.includes('gib') || unit.includes('gb')) memMB = val * 1024;
-                else if (unit.includes('mib') || unit.includes('mb')) memMB = val;
-                else if (unit.includes('kib') || unit.includes('kb')) memMB = val / 1024;
-                else memMB = val;
-              }
-              
-              containers[name] = { cpu, memMB };
-            }
-            
-            if (Object.keys(containers).length > 0) {
-              monitorSamples.push({ timestamp, containers });
-            }
-          } catch (e) {
-            // Container might not be ready or stopping
-          }
-        }, 2000);
-        
         // Load .env.test into process.env
-        const envFile = path.join(PROJECT_ROOT, '.env.test');
-        if (fs.existsSync(envFile)) {
-          const envContent = fs.readFileSync(envFile, 'utf-8');
-          for (const line of envContent.split('\n')) {
-            const [key, ...valueParts] = line.split('=');
-            if (key && valueParts.length > 0) {
-              process.env[key.trim()] = valueParts.join('=').trim();
-            }
-          }
-        }
-        
-        await run(k6Cmd, ['run', 'k6/capacity.js']);
+        loadTestEnv();
         
-        // Stop monitor and calculate results
-        clearInterval(monitorInterval);
-        
-        console.log('\n\n📊 Resource usage summary:');
-        if (monitorSamples.length === 0) {
-          console.log('   (no samples collected)');
-        } else {
-          // Calculate statistics
-          const stats = {};
-          for (const sample of monitorSamples) {
-            for (const [name, data] of Object.entries(sample.containers)) {
-              if (!stats[name]) {
-                stats[name] = { cpuSamples: [], memSamples: [] };
-              }
-              stats[name].cpuSamples.push(data.cpu);
-              stats[name].memSamples.push(data.memMB);
-            }
-          }
-          
-          const duration = monitorSamples[monitorSamples.length - 1].timestamp;
-          console.log(`   Duration: ${(duration / 1000).toFixed(1)}s | Samples: ${monitorSamples.length}`);
-          
-          for (const [name, data] of Object.entries(stats)) {
-            const cpuAvg = data.cpuSamples.reduce((a, b) => a + b, 0) / data.cpuSamples.length;
-            const cpuMax = Math.max(...data.cpuSamples);
-            const memAvg = data.memSamples.reduce((a, b) => a + b, 0) / data.memSamples.length;
-            const memMax = Math.max(...data.memSamples);
-            
-            console.log(`   ${name}: CPU avg=${cpuAvg.toFixed(1)}% max=${cpuMax.toFixed(1)}% | Mem avg=${memAvg.toFixed(0)}MB max=${memMax.toFixed(0)}MB`);
-          }
-          
-          // Capacity estimate
-          if (stats['m3w']) {
-            const cpuMax = Math.max(...stats['m3w'].cpuSamples);
-            const memMax = Math.max(...stats['m3w'].memSamples);
-            const memLimit = 2048; // 2GB limit
-            
-            console.log('\n💡 Capacity estimate (M3W container):');
-            console.log(`   At 500 VUs: CPU max ${cpuMax.toFixed(1)}%, Memory max ${memMax.toFixed(0)}MB`);
-            if (cpuMax > 0) {
-              console.log(`   Theoretical max VUs (CPU): ~${Math.floor(500 * (100 / cpuMax))}`);
-            }
-            if (memMax > 0) {
-              console.log(`   Theoretical max VUs (Memory): ~${Math.floor(500 * (memLimit / memMax))}`);
-            }
-          }
-          
-          // Save raw data
-          const resultsDir = path.join(PROJECT_ROOT, 'results');
-          if (!fs.existsSync(resultsDir)) {
-            fs.mkdirSync(resultsDir, { recursive: true });
+        await junit.step('k6 test', async () => {
+          if (SEARCH) {
+            await runCapacitySearch(k6Cmd, runtime, junit);
+          } else if (SOAK) {
+            soakFailed = !(await runSoakTest(k6Cmd, runtime, junit));
+          } else if (SPIKE) {
+            await runSpikeTest(k6Cmd, runtime, junit);
+          } else if (SLOW_CONSUMERS) {
+            backpressureFailed = !(await runSlowConsumerTest(k6Cmd, runtime, junit));
+          } else {
+            await runCapacityTest(k6Cmd, runtime, junit);
           }
-          fs.writeFileSync(
-            path.join(resultsDir, 'resource-usage.json'),
-            JSON.stringify({ samples: monitorSamples, stats }, null, 2)
-          );
-          console.log(`\n   Raw data saved to: results/resource-usage.json`);
-        }
+        });
       }
     } else {
       console.log('\n\n⏭️  Step 4: Skipping k6 test (--skip-k6 flag)');
+      junit.skip('k6 test', '--skip-k6');
     }
     
     // Step 5: Cleanup test data
     console.log('\n\n🧹 Step 5: Cleaning up test data...');
-    await run('node', ['scripts/cleanup.cjs', '--full']);
+    await junit.step('cleanup', () => run('node', ['scripts/cleanup.cjs', '--full']));
     
-    console.log('\n\n✅ Test completed successfully!');
+    if (soakFailed) {
+      console.error('\n\n❌ Soak test failed: k6 thresholds, or memory or latency trend over the limit');
+      exitCode = 1;
+    } else if (backpressureFailed) {
+      console.error('\n\n❌ Slow-consumer test failed: k6 thresholds, no completed streams, or M3W buffers streams for slow clients');
+      exitCode = 1;
+    } else {
+      console.log('\n\n✅ Test completed successfully!');
+    }
     
   } catch (error) {
     console.error('\n\n❌ Test failed:', error.message);
@@ -325,7 +698,7 @@ async function main() {
     if (!KEEP_CONTAINERS) {
       console.log('\n\n📦 Step 6: Stopping containers...');
       try {
-        await run(compose, ['down', '-v']);
+        await junit.step('stop containers', () => run(compose, ['down', '-v']));
         console.log('✅ Containers stopped and removed');
       } catch (e) {
         console.error('⚠️  Failed to stop containers:', e.message);
@@ -333,7 +706,11 @@ async function main() {
     } else {
       console.log('\n\n📦 Step 6: Keeping containers running (--keep flag)');
       console.log('   To stop manually: npm run docker:down');
+      junit.skip('stop containers', '--keep');
     }
+    
+    junit.write(junitFile);
+    console.log(`\n📄 JUnit report: ${path.relative(PROJECT_ROOT, junitFile)}`);
   }
   
   process.exit(exitCode);